@@ -0,0 +1,114 @@
+/* Catalog of every admin permission. Roles store the `key`s in `Role.permissions`, and the role
+editor reads this list through `GET /admin/permissions`. */
+const PERMISSIONS = [
+  {
+    key: "adminManagement_view",
+    module: "adminManagement",
+    description: "View admins",
+  },
+  {
+    key: "adminManagement_modify",
+    module: "adminManagement",
+    description: "Create, edit and delete admins",
+  },
+  {
+    key: "roleManagement_view",
+    module: "roleManagement",
+    description: "View roles and the permission catalog",
+  },
+  {
+    key: "roleManagement_modify",
+    module: "roleManagement",
+    description: "Create, edit and delete roles",
+  },
+  {
+    key: "tierManagement_view",
+    module: "tierManagement",
+    description: "View tiers",
+  },
+  {
+    key: "tierManagement_modify",
+    module: "tierManagement",
+    description: "Create, edit and delete tiers",
+  },
+  {
+    key: "userManagement_view",
+    module: "userManagement",
+    description: "View users, their reports and approvers",
+  },
+  {
+    key: "userManagement_modify",
+    module: "userManagement",
+    description: "Create, edit and delete users",
+  },
+  {
+    key: "eventManagement_view",
+    module: "eventManagement",
+    description: "View events",
+  },
+  {
+    key: "eventManagement_modify",
+    module: "eventManagement",
+    description: "Create, edit and delete events",
+  },
+  {
+    key: "approvalManagement_view",
+    module: "approvalManagement",
+    description: "View reports awaiting approval and the dashboard",
+  },
+  {
+    key: "approvalManagement_modify",
+    module: "approvalManagement",
+    description: "Approve and reject reports",
+  },
+  {
+    key: "financeManagement_view",
+    module: "financeManagement",
+    description: "View approved reports, transactions and wallets",
+  },
+  {
+    key: "financeManagement_modify",
+    module: "financeManagement",
+    description: "Reimburse reports, record transactions and deduct wallets",
+  },
+  {
+    key: "policyManagement_view",
+    module: "policyManagement",
+    description: "View policies",
+  },
+  {
+    key: "policyManagement_modify",
+    module: "policyManagement",
+    description: "Create and edit policies",
+  },
+];
+
+//* Permission needed for each `type` of `GET /admin/list`
+const LIST_PERMISSIONS = {
+  admins: "adminManagement_view",
+  roles: "roleManagement_view",
+  tiers: "tierManagement_view",
+  events: "eventManagement_view",
+  users: "userManagement_view",
+  approvers: "userManagement_view",
+  approvals: "approvalManagement_view",
+  approvalChains: "approvalManagement_view",
+  finances: "financeManagement_view",
+  transactions: "financeManagement_view",
+  policy: "policyManagement_view",
+};
+
+//* Admins reviewing or paying out reports can join their comment threads, either permission will do
+const COMMENT_PERMISSIONS = [
+  "approvalManagement_view",
+  "financeManagement_view",
+];
+
+const PERMISSION_KEYS = PERMISSIONS.map((permission) => permission.key);
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  LIST_PERMISSIONS,
+  COMMENT_PERMISSIONS,
+};
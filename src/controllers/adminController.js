@@ -9,8 +9,39 @@ const Policy = require("../models/policyModel");
 const mongoose = require("mongoose");
 
 const { hashPassword, comparePasswords } = require("../utils/bcrypt");
-const { generateToken } = require("../utils/generateToken");
-const checkAccess = require("../helpers/checkAccess");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../helpers/session");
+const { PERMISSIONS } = require("../config/permissions");
+const {
+  getCurrentStep,
+  applyStepDecision,
+  formatApprovalSteps,
+  formatEscalations,
+} = require("../helpers/approvalChain");
+const {
+  getLocationScope,
+  isLocationInScope,
+  scopedUserIds,
+  isUserInScope,
+} = require("../helpers/locationScope");
+const {
+  validatePassword,
+  isPasswordExpired,
+  isPasswordReused,
+  applyPassword,
+} = require("../helpers/passwordPolicy");
+const {
+  generateRecoveryCodes,
+  isTotpLocked,
+  verifySecondFactor,
+} = require("../helpers/twoFactor");
+const { generateRefreshToken, hashToken } = require("../utils/generateToken");
+const { generateTotpSecret, totpUri } = require("../utils/totp");
+const sendMail = require("../utils/sendMail");
 const {
   createAdminSchema,
   editAdminSchema,
@@ -23,14 +54,55 @@ const {
   createEventSchema,
   editEventSchema,
   createPolicySchema,
+  updatePolicySchema,
+  simulatePolicySchema,
   createTransactionSchema,
   createDeductionSchema,
+  createApprovalChainSchema,
+  editApprovalChainSchema,
+  updateApprovalSchema,
+  createCommentSchema,
 } = require("../validations");
 const moment = require("moment-timezone");
 const Report = require("../models/reportModel");
 const Expense = require("../models/expenseModel");
 const Notification = require("../models/notificationModel");
 const Deduction = require("../models/deductionModel");
+const ApprovalChain = require("../models/approvalChainModel");
+const {
+  transitionReport,
+  formatTransitions,
+} = require("../helpers/stateMachine");
+const {
+  markRevisionReviewed,
+  diffSinceLastReview,
+} = require("../helpers/reportRevision");
+const {
+  resolveDecisions,
+  applyDecisions,
+  formatExpenseDecision,
+  getPayableAmount,
+  REVIEW_STATUSES,
+} = require("../helpers/expenseDecision");
+const { addComment, getReportComments } = require("../helpers/comments");
+const { formatReceiptCheck } = require("../helpers/receiptCheck");
+const {
+  findDuplicates,
+  formatDuplicateFlags,
+} = require("../helpers/duplicateCheck");
+const { formatPolicyCheck } = require("../helpers/policyRules");
+const { simulatePolicy } = require("../helpers/policySimulator");
+const { syncReportBudget } = require("../helpers/budgetLedger");
+const {
+  findPolicy,
+  createPolicyVersion,
+  getPolicyVersions,
+  formatPolicyVersion,
+  getPolicyStatus,
+} = require("../helpers/policyVersions");
+
+const { ADMIN_RESET_PASSWORD_URL } = process.env;
+const RESET_TOKEN_TTL_MINUTES = 30;
 
 exports.loginAdmin = async (req, res) => {
   try {
@@ -39,7 +111,9 @@ exports.loginAdmin = async (req, res) => {
       return responseHandler(res, 400, "Email and password are required");
     }
 
-    const findAdmin = await Admin.findOne({ email });
+    const findAdmin = await Admin.findOne({ email }).select(
+      "+totpSecret +totpLastUsedStep +totpRecoveryCodes"
+    );
     if (!findAdmin) {
       return responseHandler(res, 404, "Admin not found");
     }
@@ -52,9 +126,43 @@ exports.loginAdmin = async (req, res) => {
       return responseHandler(res, 401, "Invalid password");
     }
 
-    const token = generateToken(findAdmin._id, findAdmin.role);
+    if (isPasswordExpired(findAdmin)) {
+      return responseHandler(
+        res,
+        403,
+        "Password has expired, please reset your password",
+        { passwordExpired: true }
+      );
+    }
+
+    if (findAdmin.totpEnabled) {
+      if (isTotpLocked(findAdmin)) {
+        return responseHandler(
+          res,
+          429,
+          "Too many failed two-factor attempts, please try again later"
+        );
+      }
+      const { totpCode, recoveryCode } = req.body;
+      if (!totpCode && !recoveryCode) {
+        return responseHandler(res, 401, "Two-factor code is required", {
+          totpRequired: true,
+        });
+      }
+      const verified = await verifySecondFactor(findAdmin, {
+        totpCode,
+        recoveryCode,
+      });
+      if (!verified) {
+        return responseHandler(res, 401, "Invalid two-factor code", {
+          totpRequired: true,
+        });
+      }
+    }
+
+    const tokens = await createSession(findAdmin, "Admin", req);
 
-    return responseHandler(res, 200, "Login successfull", token);
+    return responseHandler(res, 200, "Login successfull", tokens);
   } catch (error) {
     return responseHandler(
       res,
@@ -65,6 +173,307 @@ exports.loginAdmin = async (req, res) => {
   }
 };
 
+/* The `exports.forgotPassword` function emails a single-use password reset link to the admin. The
+response is the same whether or not the email belongs to an admin. */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return responseHandler(res, 400, "Email is required");
+    }
+
+    const findAdmin = await Admin.findOne({ email, isDeleted: false });
+    if (findAdmin) {
+      const resetToken = generateRefreshToken();
+      findAdmin.resetTokenHash = hashToken(resetToken);
+      findAdmin.resetTokenExpiresAt = new Date(
+        Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000
+      );
+      await findAdmin.save();
+
+      const resetLink = ADMIN_RESET_PASSWORD_URL
+        ? `${ADMIN_RESET_PASSWORD_URL}?token=${resetToken}`
+        : resetToken;
+      const sendMailFn = await sendMail(email, null, {
+        subject: `Reset your Xpensea password`,
+        text: `A password reset was requested for your Xpensea admin account.\n
+      Use the following link or token to set a new password: ${resetLink}\n
+      It expires in ${RESET_TOKEN_TTL_MINUTES} minutes. If you did not request this, please ignore this email.\n
+      Best regards,\n
+      Xpensea`,
+      });
+      if (sendMailFn.status == "failure") {
+        return responseHandler(res, 400, "Reset email sent failed");
+      }
+    }
+
+    return responseHandler(
+      res,
+      200,
+      "If the email is registered, a reset link has been sent"
+    );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.resetPassword` function sets a new password using a token from `forgotPassword`. The
+password has to satisfy the password policy and all sessions of the admin are revoked. */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return responseHandler(res, 400, "Token and password are required");
+    }
+
+    const findAdmin = await Admin.findOne({
+      resetTokenHash: hashToken(token),
+      resetTokenExpiresAt: { $gt: new Date() },
+    }).select("+passwordHistory");
+    if (!findAdmin) {
+      return responseHandler(res, 400, "Invalid or expired reset token");
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return responseHandler(res, 400, passwordError);
+    }
+    if (await isPasswordReused(findAdmin, password)) {
+      return responseHandler(
+        res,
+        400,
+        "Password was used recently, please choose another one"
+      );
+    }
+
+    await applyPassword(findAdmin, password);
+    findAdmin.resetTokenHash = null;
+    findAdmin.resetTokenExpiresAt = null;
+    await findAdmin.save();
+    await revokeAllSessions(findAdmin._id, "password_reset");
+
+    return responseHandler(res, 200, "Password reset successfully");
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.changePassword` function lets a logged in admin rotate their password. */
+exports.changePassword = async (req, res) => {
+  try {
+    const { oldPassword, newPassword } = req.body;
+    if (!oldPassword || !newPassword) {
+      return responseHandler(
+        res,
+        400,
+        "Old password and new password are required"
+      );
+    }
+
+    const findAdmin = await Admin.findById(req.userId).select(
+      "+passwordHistory"
+    );
+    if (!findAdmin) {
+      return responseHandler(res, 404, "Admin not found");
+    }
+
+    const comparePassword = await comparePasswords(
+      oldPassword,
+      findAdmin.password
+    );
+    if (!comparePassword) {
+      return responseHandler(res, 401, "Invalid password");
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return responseHandler(res, 400, passwordError);
+    }
+    if (await isPasswordReused(findAdmin, newPassword)) {
+      return responseHandler(
+        res,
+        400,
+        "Password was used recently, please choose another one"
+      );
+    }
+
+    await applyPassword(findAdmin, newPassword);
+    await findAdmin.save();
+    //* Other devices have to log in again with the new password
+    await revokeAllSessions(findAdmin._id, "password_change", req.sessionId);
+
+    return responseHandler(res, 200, "Password changed successfully");
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.setupTotp` function starts TOTP enrollment by generating a new secret. It only takes
+effect once confirmed with a code through `enableTotp`. */
+exports.setupTotp = async (req, res) => {
+  try {
+    const findAdmin = await Admin.findById(req.userId);
+    if (!findAdmin) {
+      return responseHandler(res, 404, "Admin not found");
+    }
+    if (findAdmin.totpEnabled) {
+      return responseHandler(res, 400, "Two-factor is already enabled");
+    }
+
+    const secret = generateTotpSecret();
+    findAdmin.totpSecret = secret;
+    await findAdmin.save();
+
+    return responseHandler(res, 200, "Two-factor setup started", {
+      secret,
+      uri: totpUri(secret, findAdmin.email),
+    });
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.enableTotp` function confirms TOTP enrollment with a code from the authenticator app
+and returns the recovery codes. They are only shown this once. */
+exports.enableTotp = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return responseHandler(res, 400, "Code is required");
+    }
+
+    const findAdmin = await Admin.findById(req.userId).select(
+      "+totpSecret +totpLastUsedStep"
+    );
+    if (!findAdmin) {
+      return responseHandler(res, 404, "Admin not found");
+    }
+    if (findAdmin.totpEnabled) {
+      return responseHandler(res, 400, "Two-factor is already enabled");
+    }
+    if (!findAdmin.totpSecret) {
+      return responseHandler(res, 400, "Two-factor setup not started");
+    }
+    if (isTotpLocked(findAdmin)) {
+      return responseHandler(
+        res,
+        429,
+        "Too many failed two-factor attempts, please try again later"
+      );
+    }
+
+    const verified = await verifySecondFactor(findAdmin, { totpCode: code });
+    if (!verified) {
+      return responseHandler(res, 401, "Invalid two-factor code");
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    findAdmin.totpEnabled = true;
+    findAdmin.totpRecoveryCodes = hashes;
+    await findAdmin.save();
+
+    return responseHandler(res, 200, "Two-factor enabled successfully", {
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.disableTotp` function turns off TOTP after checking the password and a current code
+or recovery code. */
+exports.disableTotp = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return responseHandler(
+        res,
+        400,
+        "Password and a two-factor code are required"
+      );
+    }
+
+    const findAdmin = await Admin.findById(req.userId).select(
+      "+totpSecret +totpLastUsedStep +totpRecoveryCodes"
+    );
+    if (!findAdmin) {
+      return responseHandler(res, 404, "Admin not found");
+    }
+    if (!findAdmin.totpEnabled) {
+      return responseHandler(res, 400, "Two-factor is not enabled");
+    }
+    if (isTotpLocked(findAdmin)) {
+      return responseHandler(
+        res,
+        429,
+        "Too many failed two-factor attempts, please try again later"
+      );
+    }
+
+    const comparePassword = await comparePasswords(
+      password,
+      findAdmin.password
+    );
+    if (!comparePassword) {
+      return responseHandler(res, 401, "Invalid password");
+    }
+
+    const verified = await verifySecondFactor(findAdmin, {
+      totpCode: code,
+      recoveryCode,
+    });
+    if (!verified) {
+      return responseHandler(res, 401, "Invalid two-factor code");
+    }
+
+    findAdmin.totpEnabled = false;
+    findAdmin.totpSecret = null;
+    findAdmin.totpLastUsedStep = null;
+    findAdmin.totpRecoveryCodes = [];
+    await findAdmin.save();
+
+    return responseHandler(res, 200, "Two-factor disabled successfully");
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.refreshToken` function exchanges an admin refresh token for a new access/refresh
+token pair. Reusing an already exchanged refresh token revokes the whole session. */
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return responseHandler(res, 400, "Refresh token is required");
+    }
+
+    const tokens = await rotateSession(refreshToken, "Admin");
+    if (!tokens) {
+      return responseHandler(res, 401, "Invalid refresh token");
+    }
+
+    return responseHandler(res, 200, "Token refreshed successfully", tokens);
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.logout` function revokes the current admin session, or every session of the admin
+when `all` is set in the body. */
+exports.logout = async (req, res) => {
+  try {
+    const { all } = req.body;
+    if (all) {
+      await revokeAllSessions(req.userId);
+    } else {
+      await revokeSession(req.sessionId);
+    }
+    return responseHandler(res, 200, "Logged out successfully");
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
 /* The `exports.createAdmin` function is responsible for creating a new admin in the system. Here is a
 breakdown of what the functions is doing: */
 exports.createAdmin = async (req, res) => {
@@ -90,8 +499,14 @@ exports.createAdmin = async (req, res) => {
         `Admin with this email or phone already exists`
       );
 
+    const passwordError = validatePassword(req.body.password);
+    if (passwordError) {
+      return responseHandler(res, 400, passwordError);
+    }
+
     const hashedPassword = await hashPassword(req.body.password);
     req.body.password = hashedPassword;
+    req.body.passwordChangedAt = new Date();
 
     const newAdmin = await Admin.create(req.body);
 
@@ -119,15 +534,6 @@ exports.editAdmin = async (req, res) => {
       return responseHandler(res, 400, "Admin ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("adminManagement_modify")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
     const findAdmin = await Admin.findById(id);
     if (!findAdmin) {
       return responseHandler(res, 404, "Admin not found");
@@ -171,15 +577,6 @@ exports.deleteAdmin = async (req, res) => {
       return responseHandler(res, 400, "Admin ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("adminManagement_modify")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
     const findAdmin = await Admin.findById(id);
     if (!findAdmin) {
       return responseHandler(res, 404, "Admin not found");
@@ -191,6 +588,7 @@ exports.deleteAdmin = async (req, res) => {
       { new: true }
     );
     if (deleteAdmin) {
+      await revokeAllSessions(id, "deleted");
       return responseHandler(res, 200, `Admin deleted successfully..!`);
     } else {
       return responseHandler(res, 400, `Admin deletion failed...!`);
@@ -285,15 +683,6 @@ exports.editRole = async (req, res) => {
       return responseHandler(res, 400, "Role ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("roleManagement_modify")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
     const findRole = await Role.findById(id);
     if (!findRole) {
       return responseHandler(res, 404, "Role not found");
@@ -357,15 +746,6 @@ exports.deleteRole = async (req, res) => {
       return responseHandler(res, 400, "Role ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("roleManagement_modify")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
     const findRole = await Role.findById(id);
     if (!findRole) {
       return responseHandler(res, 404, "Role not found");
@@ -382,6 +762,15 @@ exports.deleteRole = async (req, res) => {
   }
 };
 
+/* The `exports.getPermissions` function returns the permission catalog used by the role editor. */
+exports.getPermissions = async (req, res) => {
+  try {
+    return responseHandler(res, 200, "Permissions found", PERMISSIONS);
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
 /* The above code is a controller function in a Node.js application that handles listing data based on
 the `type` parameter provided in the request query. Here's a breakdown of what the code is doing: */
 exports.listController = async (req, res) => {
@@ -389,29 +778,9 @@ exports.listController = async (req, res) => {
     const { type, pageNo = 1, limit = 10, status, isDeleted } = req.query;
     const skipCount = 10 * (pageNo - 1);
     const filter = {};
-
-    const accessPermissions = {
-      admins: "adminManagement_view",
-      roles: "roleManagement_view",
-      tiers: "tierManagement_view",
-      events: "eventManagement_view",
-      users: "userManagement_view",
-      approvals: "approvalManagement_view",
-      finances: "financeManagement_view",
-      policy: "policyManagement_view",
-    };
+    const scope = await getLocationScope(req);
 
     if (type === "admins") {
-      const check = await checkAccess(req.roleId, "permissions");
-
-      if (!check || !check.includes(accessPermissions[type])) {
-        return responseHandler(
-          res,
-          403,
-          "You don't have permission to perform this action"
-        );
-      }
-
       if (isDeleted) {
         filter.isDeleted = isDeleted;
       } else {
@@ -438,16 +807,6 @@ exports.listController = async (req, res) => {
       }
       return responseHandler(res, 200, "Admins found", mappedData, totalCount);
     } else if (type === "roles") {
-      const check = await checkAccess(req.roleId, "permissions");
-
-      if (!check || !check.includes(accessPermissions[type])) {
-        return responseHandler(
-          res,
-          403,
-          "You don't have permission to perform this action"
-        );
-      }
-
       const totalCount = await Role.countDocuments(filter);
       const fetchRoles = await Role.find(filter)
         .skip(skipCount)
@@ -465,17 +824,35 @@ exports.listController = async (req, res) => {
         return responseHandler(res, 404, "No Roles found");
       }
       return responseHandler(res, 200, "Roles found", mappedData, totalCount);
-    } else if (type === "tiers") {
-      const check = await checkAccess(req.roleId, "permissions");
-
-      if (!check || !check.includes(accessPermissions[type])) {
-        return responseHandler(
-          res,
-          403,
-          "You don't have permission to perform this action"
-        );
+    } else if (type === "approvalChains") {
+      const totalCount = await ApprovalChain.countDocuments(filter);
+      const fetchChains = await ApprovalChain.find(filter)
+        .skip(skipCount)
+        .limit(limit)
+        .sort({ createdAt: -1 })
+        .lean();
+      const mappedData = fetchChains.map((data) => {
+        return {
+          _id: data._id,
+          title: data.title,
+          description: data.description,
+          status: data.status,
+          noOfSteps: data.steps.length,
+          createdAt: moment(data.createdAt).format("MMM DD YYYY"),
+          updatedAt: moment(data.updatedAt).format("MMM DD YYYY"),
+        };
+      });
+      if (!fetchChains || fetchChains.length === 0) {
+        return responseHandler(res, 404, "No Approval chains found");
       }
-
+      return responseHandler(
+        res,
+        200,
+        "Approval chains found",
+        mappedData,
+        totalCount
+      );
+    } else if (type === "tiers") {
       if (status == "true") {
         filter.status = true;
       } else if (status == "false") {
@@ -522,16 +899,6 @@ exports.listController = async (req, res) => {
 
       return responseHandler(res, 200, "Tiers found", fetchTiers, totalCount);
     } else if (type === "users") {
-      const check = await checkAccess(req.roleId, "permissions");
-
-      if (!check || !check.includes(accessPermissions[type])) {
-        return responseHandler(
-          res,
-          403,
-          "You don't have permission to perform this action"
-        );
-      }
-
       if (status == "true") {
         filter.status = true;
       } else if (status == "false") {
@@ -544,6 +911,10 @@ exports.listController = async (req, res) => {
         filter.isDeleted = false;
       }
 
+      if (scope) {
+        filter.location = { $in: scope };
+      }
+
       const totalCount = await User.countDocuments(filter);
       const fetchUsers = await User.find(filter)
         .populate("tier", "title")
@@ -563,16 +934,6 @@ exports.listController = async (req, res) => {
       }
       return responseHandler(res, 200, "Users found", mappedData, totalCount);
     } else if (type === "events") {
-      const check = await checkAccess(req.roleId, "permissions");
-
-      if (!check || !check.includes(accessPermissions[type])) {
-        return responseHandler(
-          res,
-          403,
-          "You don't have permission to perform this action"
-        );
-      }
-
       if (status) {
         filter.status = status;
       }
@@ -581,6 +942,10 @@ exports.listController = async (req, res) => {
         filter.type = req.query.creator;
       }
 
+      if (scope) {
+        filter.location = { $in: scope };
+      }
+
       const totalCount = await Event.countDocuments(filter);
       const fetchEvents = await Event.find(filter)
         .skip(skipCount)
@@ -600,22 +965,16 @@ exports.listController = async (req, res) => {
       }
       return responseHandler(res, 200, "Events found", mappedData, totalCount);
     } else if (type === "approvals") {
-      const check = await checkAccess(req.roleId, "permissions");
-
-      if (!check || !check.includes(accessPermissions[type])) {
-        return responseHandler(
-          res,
-          403,
-          "You don't have permission to perform this action"
-        );
-      }
-
       if (status) {
         filter.status = status;
       } else {
         filter.status = { $ne: "drafted" };
       }
 
+      if (scope) {
+        filter.user = await scopedUserIds(scope);
+      }
+
       const totalCount = await Report.countDocuments(filter);
       const fetchReports = await Report.find(filter)
         .populate("user", "name")
@@ -655,16 +1014,6 @@ exports.listController = async (req, res) => {
         totalCount
       );
     } else if (type === "approvers") {
-      const check = await checkAccess(req.roleId, "permissions");
-
-      if (!check || !check.includes(accessPermissions["users"])) {
-        return responseHandler(
-          res,
-          403,
-          "You don't have permission to perform this action"
-        );
-      }
-
       const filter = {
         status: true,
         userType: "approver",
@@ -688,6 +1037,10 @@ exports.listController = async (req, res) => {
         filter.tier = targetTier._id;
       }
 
+      if (scope) {
+        filter.location = { $in: scope };
+      }
+
       const fetchApprovers = await User.find(filter).select("-mpin");
 
       if (!fetchApprovers || fetchApprovers.length === 0) {
@@ -703,21 +1056,16 @@ exports.listController = async (req, res) => {
       }
       return responseHandler(res, 200, "Approvers found", fetchApprovers);
     } else if (type === "finances") {
-      const check = await checkAccess(req.roleId, "permissions");
-
-      if (!check || !check.includes(accessPermissions[type])) {
-        return responseHandler(
-          res,
-          403,
-          "You don't have permission to perform this action"
-        );
-      }
       filter.status = { $in: ["approved", "reimbursed"] };
 
       if (status) {
         filter.status = status;
       }
 
+      if (scope) {
+        filter.user = await scopedUserIds(scope);
+      }
+
       const totalCount = await Report.countDocuments(filter);
       const fetchReports = await Report.find(filter)
         .populate("user", "name")
@@ -754,17 +1102,6 @@ exports.listController = async (req, res) => {
         totalCount
       );
     } else if (type === "transactions") {
-      // Check if the user has the required permissions
-      const check = await checkAccess(req.roleId, "permissions");
-
-      if (!check || !check.includes(accessPermissions["finances"])) {
-        return responseHandler(
-          res,
-          403,
-          "You don't have permission to perform this action"
-        );
-      }
-
       // Setting up the filter based on status
       // filter.status = { $in: ["pending", "completed", "cancelled"] };
 
@@ -772,6 +1109,10 @@ exports.listController = async (req, res) => {
         filter.status = status;
       }
 
+      if (scope) {
+        filter["requestedBy.receiver"] = await scopedUserIds(scope);
+      }
+
       // Count total matching advance payment documents
       const totalCount = await transaction.countDocuments(filter);
 
@@ -810,17 +1151,6 @@ exports.listController = async (req, res) => {
         totalCount
       );
     } else if (type === "policy") {
-      // Check if the user has the required permissions
-      const check = await checkAccess(req.roleId, "permissions");
-
-      if (!check || !check.includes(accessPermissions[type])) {
-        return responseHandler(
-          res,
-          403,
-          "You don't have permission to perform this action"
-        );
-      }
-
       // Setting up the filter for the policy query
       const filter = {};
       if (status) {
@@ -840,6 +1170,18 @@ exports.listController = async (req, res) => {
         filter.location = req.query.location;
       }
 
+      // Restrict to the admin's locations, an out-of-scope location matches nothing
+      if (scope) {
+        filter.location = req.query.location
+          ? { $in: scope.filter((item) => item === req.query.location) }
+          : { $in: scope };
+      }
+
+      // Retired versions are only listed on request, they are kept for the policy history
+      if (req.query.versions !== "all") {
+        filter.$or = [{ retiredAt: null }, { retiredAt: { $gt: new Date() } }];
+      }
+
       // Count total matching policy documents
       const totalCount = await Policy.countDocuments(filter);
 
@@ -856,15 +1198,22 @@ exports.listController = async (req, res) => {
         return {
           _id: data._id,
           policyTitle: data.policyTitle,
+          family: data.family || data._id,
+          version: data.version || 1,
+          status: getPolicyStatus(data),
           tier: data.tier ? data.tier.title : "",
           userType: data.userType,
           activationDate: moment(data.activationDate).format("MMM DD YYYY"),
+          retiredAt:
+            data.retiredAt && moment(data.retiredAt).format("MMM DD YYYY"),
           location: data.location,
           accuracy: data.accuracy,
           authenticity: data.authenticity,
           compliance: data.compliance,
           relevance: data.relevance,
           completeness: data.completeness,
+          scoreAction: data.scoreAction,
+          rules: data.rules,
           createdAt: moment(data.createdAt).format("MMM DD YYYY"),
           updatedAt: moment(data.updatedAt).format("MMM DD YYYY"),
           policyDetails: data.policyDetails,
@@ -929,15 +1278,6 @@ exports.editTier = async (req, res) => {
       return responseHandler(res, 400, "Tier ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("tierManagement_modify")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
     const findTier = await Tier.findById(id);
     if (!findTier) {
       return responseHandler(res, 404, "Tier not found");
@@ -979,15 +1319,6 @@ exports.deleteTier = async (req, res) => {
       return responseHandler(res, 400, "Tier ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("tierManagement_modify")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
     const findTier = await Tier.findById(id);
     if (!findTier) {
       return responseHandler(res, 404, "Tier not found");
@@ -1019,15 +1350,6 @@ exports.getTier = async (req, res) => {
       return responseHandler(res, 400, "Tier ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("tierManagement_view")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
     const findTier = await Tier.findById(id).lean();
     const mappedData = {
       ...findTier,
@@ -1057,6 +1379,14 @@ exports.createUser = async (req, res) => {
         `Invalid input: ${createUserValidator.error}`
       );
     }
+    const scope = await getLocationScope(req);
+    if (!isLocationInScope(scope, req.body.location)) {
+      return responseHandler(
+        res,
+        403,
+        "You don't have access to this location"
+      );
+    }
     const checkPhone = await User.findOne({ mobile: req.body.mobile });
     if (checkPhone) {
       return responseHandler(
@@ -1097,18 +1427,18 @@ exports.editUser = async (req, res) => {
     if (!id) {
       return responseHandler(res, 400, "User ID is required");
     }
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("userManagement_modify")) {
+    const scope = await getLocationScope(req);
+    const findUser = await User.findById(id);
+    if (!findUser || !isLocationInScope(scope, findUser.location)) {
+      return responseHandler(res, 404, "User not found");
+    }
+    if (req.body.location && !isLocationInScope(scope, req.body.location)) {
       return responseHandler(
         res,
         403,
-        "You don't have permission to perform this action"
+        "You don't have access to this location"
       );
     }
-    const findUser = await User.findById(id);
-    if (!findUser) {
-      return responseHandler(res, 404, "User not found");
-    }
     const editUserValidator = editUserSchema.validate(req.body, {
       abortEarly: true,
     });
@@ -1146,27 +1476,19 @@ exports.getUser = async (req, res) => {
       return responseHandler(res, 400, "User ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("userManagement_view")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
     const findUser = await User.findById(id)
       .populate("tier")
       .populate("approver", "name")
       .lean();
+    const scope = await getLocationScope(req);
+    if (!findUser || !isLocationInScope(scope, findUser.location)) {
+      return responseHandler(res, 404, "User not found");
+    }
     const mappedData = {
       ...findUser,
       tierName: findUser.tier && findUser.tier.title,
       createdAt: moment(findUser.createdAt).format("MMM DD YYYY"),
     };
-    if (!findUser) {
-      return responseHandler(res, 404, "User not found");
-    }
     return responseHandler(res, 200, "User found", mappedData);
   } catch (error) {
     return responseHandler(res, 500, `Internal Server Error ${error.message}`);
@@ -1182,17 +1504,9 @@ exports.deleteUser = async (req, res) => {
       return responseHandler(res, 400, "User ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("userManagement_modify")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
+    const scope = await getLocationScope(req);
     const findUser = await User.findById(id);
-    if (!findUser) {
+    if (!findUser || !isLocationInScope(scope, findUser.location)) {
       return responseHandler(res, 404, "User not found");
     }
 
@@ -1202,6 +1516,7 @@ exports.deleteUser = async (req, res) => {
       { new: true }
     );
     if (deleteUser) {
+      await revokeAllSessions(id, "deleted");
       return responseHandler(res, 200, "User deleted successfully..!");
     } else {
       return responseHandler(res, 400, "User deletion failed...!");
@@ -1225,6 +1540,14 @@ exports.createEvent = async (req, res) => {
         `Invalid input: ${createEventValidator.error}`
       );
     }
+    const scope = await getLocationScope(req);
+    if (!isLocationInScope(scope, req.body.location)) {
+      return responseHandler(
+        res,
+        403,
+        "You don't have access to this location"
+      );
+    }
     req.body.type = "Admin";
     req.body.creator = req.userId;
     const newEvent = await Event.create(req.body);
@@ -1252,19 +1575,18 @@ exports.editEvent = async (req, res) => {
       return responseHandler(res, 400, "Event ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("eventManagement_modify")) {
+    const scope = await getLocationScope(req);
+    const findEvent = await Event.findById(id);
+    if (!findEvent || !isLocationInScope(scope, findEvent.location)) {
+      return responseHandler(res, 404, "Event not found");
+    }
+    if (req.body.location && !isLocationInScope(scope, req.body.location)) {
       return responseHandler(
         res,
         403,
-        "You don't have permission to perform this action"
+        "You don't have access to this location"
       );
     }
-
-    const findEvent = await Event.findById(id);
-    if (!findEvent) {
-      return responseHandler(res, 404, "Event not found");
-    }
     const editEventValidator = editEventSchema.validate(req.body, {
       abortEarly: true,
     });
@@ -1302,13 +1624,14 @@ exports.getEvent = async (req, res) => {
       return responseHandler(res, 400, "Event ID is required");
     }
     const findEvent = await Event.findById(id).lean();
+    const scope = await getLocationScope(req);
+    if (!findEvent || !isLocationInScope(scope, findEvent.location)) {
+      return responseHandler(res, 404, "Event not found");
+    }
     const mappedData = {
       ...findEvent,
       createdAt: moment(findEvent.createdAt).format("MMM DD YYYY"),
     };
-    if (!findEvent) {
-      return responseHandler(res, 404, "Event not found");
-    }
     return responseHandler(res, 200, "Event found", mappedData);
   } catch (error) {
     return responseHandler(res, 500, `Internal Server Error ${error.message}`);
@@ -1324,17 +1647,9 @@ exports.deleteEvent = async (req, res) => {
       return responseHandler(res, 400, "Event ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("eventManagement_modify")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
+    const scope = await getLocationScope(req);
     const findEvent = await Event.findById(id);
-    if (!findEvent) {
+    if (!findEvent || !isLocationInScope(scope, findEvent.location)) {
       return responseHandler(res, 404, "Event not found");
     }
 
@@ -1358,15 +1673,6 @@ exports.getApproval = async (req, res) => {
       return responseHandler(res, 400, "Approval ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("approvalManagement_view")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
     const fetchReport = await Report.findById(id)
       .populate({
         path: "user",
@@ -1378,9 +1684,21 @@ exports.getApproval = async (req, res) => {
         select: "startDate endDate startTime endTime creator type",
       })
       .populate("approver", "name")
+      .populate("approvalSteps.user", "name")
+      .populate("approvalSteps.role", "roleName")
+      .populate("approvalSteps.actedBy", "name")
+      .populate("approvalSteps.onBehalfOf", "name")
+      .populate("onBehalfOf", "name")
+      .populate("escalations.from escalations.to", "name")
+      .populate("escalations.fromRole escalations.toRole", "roleName")
+      .populate("transitions.actor", "name")
       .lean();
 
-    if (!fetchReport) {
+    const scope = await getLocationScope(req);
+    if (
+      !fetchReport ||
+      !isLocationInScope(scope, fetchReport.user && fetchReport.user.location)
+    ) {
       return responseHandler(res, 404, "Report not found");
     }
 
@@ -1408,6 +1726,8 @@ exports.getApproval = async (req, res) => {
       .populate("user", "name")
       .populate("deductBy", "name");
 
+    const duplicates = await findDuplicates(fetchReport.expenses);
+
     const mappedData = {
       _id: fetchReport._id,
       user: fetchReport.user.name,
@@ -1420,6 +1740,7 @@ exports.getApproval = async (req, res) => {
       type: fetchReport.type,
       status: fetchReport.status,
       approver: fetchReport?.approver?.name,
+      onBehalfOf: fetchReport?.onBehalfOf?.name,
       expenses: fetchReport.expenses.map((expense) => {
         return {
           _id: expense._id,
@@ -1430,12 +1751,18 @@ exports.getApproval = async (req, res) => {
           status: expense.status,
           category: expense.category,
           image: expense.image,
+          ...formatExpenseDecision(expense),
+          ...formatReceiptCheck(expense),
+          ...formatPolicyCheck(expense),
+          ...formatDuplicateFlags(duplicates, expense),
         };
       }),
       totalAmount: fetchReport.expenses.reduce(
         (acc, curr) => acc + curr.amount,
         0
       ),
+      approvedAmount: fetchReport.approvedAmount,
+      duplicatesAcknowledged: fetchReport.duplicatesAcknowledged,
       walletAmount:
         walletAmount - (deductAmount.length > 0 ? deductAmount[0].amount : 0),
       deduction: deductionReport.map((res) => {
@@ -1467,6 +1794,12 @@ exports.getApproval = async (req, res) => {
         : null,
       createdAt: moment(fetchReport.createdAt).format("MMM DD YYYY"),
       updatedAt: moment(fetchReport.updatedAt).format("MMM DD YYYY"),
+      approvalSteps: formatApprovalSteps(fetchReport),
+      revision: fetchReport.revision,
+      changesSinceLastReview: diffSinceLastReview(fetchReport),
+      escalations: formatEscalations(fetchReport),
+      transitions: formatTransitions(fetchReport),
+      comments: await getReportComments(fetchReport._id),
     };
 
     return responseHandler(res, 200, "Report found", mappedData);
@@ -1481,27 +1814,26 @@ doing: */
 exports.updateApproval = async (req, res) => {
   try {
     const { id, action } = req.params;
-    const { expenses, reason } = req.body;
 
-    if (expenses.length === 0) {
-      return responseHandler(res, 400, "Expenses are required");
+    const updateApprovalValidator = updateApprovalSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (updateApprovalValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${updateApprovalValidator.error.message}`
+      );
     }
+    const { reason } = req.body;
 
     if (!id) {
       return responseHandler(res, 400, "Approval ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("approvalManagement_modify")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
+    const scope = await getLocationScope(req);
     const findApproval = await Report.findById(id);
-    if (!findApproval) {
+    if (!findApproval || !(await isUserInScope(scope, findApproval.user))) {
       return responseHandler(res, 404, "Approval not found");
     }
 
@@ -1509,69 +1841,73 @@ exports.updateApproval = async (req, res) => {
       return responseHandler(res, 404, "Approval has already done");
     }
 
-    const isApproveAction = action === "approve";
-    const newStatus = isApproveAction ? "approved" : "rejected";
-
-    if (isApproveAction) {
-      const findApprovalExpensesIds = findApproval.expenses.map((expense) =>
-        expense._id.toString()
+    //* Role steps are reserved for admins of that role, other steps may be decided by any approval admin
+    const step = getCurrentStep(findApproval);
+    if (
+      step &&
+      step.approverType === "role" &&
+      String(step.role) !== String(req.roleId)
+    ) {
+      return responseHandler(
+        res,
+        403,
+        "This approval step is assigned to another role"
       );
+    }
 
-      if (
-        findApprovalExpensesIds.length !== expenses.length ||
-        !expenses.every((expenseId) =>
-          findApprovalExpensesIds.includes(expenseId.toString())
-        )
-      ) {
-        return responseHandler(res, 400, "Expenses do not match");
-      }
+    const review = await resolveDecisions(findApproval, action, req.body);
+    if (review.status !== 200) {
+      return responseHandler(res, review.status, review.message);
     }
+    const newStatus = REVIEW_STATUSES[review.outcome];
 
-    const updateApproval = await Report.findByIdAndUpdate(
-      id,
-      {
-        status: newStatus,
-        approverModel: "Admin",
-        approver: req.userId,
-        $push: { reason: reason },
-      },
-      { new: true }
-    );
+    const isFinalDecision = await applyStepDecision(findApproval, {
+      approved: review.outcome === "approved",
+      actedBy: req.userId,
+      actedByModel: "Admin",
+      reason,
+      decisions: review.lines,
+    });
+    if (!isFinalDecision) {
+      return responseHandler(
+        res,
+        200,
+        "Approval step approved, forwarded to the next approver"
+      );
+    }
 
-    if (!updateApproval) {
-      return responseHandler(res, 400, `Approval ${newStatus} failed`);
+    const actor = { id: req.userId, model: "Admin", role: "admin" };
+    const transition = transitionReport(findApproval, newStatus, actor, reason);
+    if (transition.status !== 200) {
+      return responseHandler(res, transition.status, transition.message);
     }
 
+    const decided = await applyDecisions(findApproval, review.lines, actor);
+    if (decided.status !== 200) {
+      return responseHandler(res, decided.status, decided.message);
+    }
+
+    markRevisionReviewed(findApproval);
+    findApproval.approverModel = "Admin";
+    findApproval.approver = req.userId;
+    findApproval.onBehalfOf = null;
+    if (reason) findApproval.reason.push(reason);
+    const updateApproval = await findApproval.save();
+    await syncReportBudget(updateApproval);
+
     await Notification.create({
       content: updateApproval._id,
       user: updateApproval.user,
-      status: updateApproval.status,
-    });
-
-    if (isApproveAction) {
-      await Expense.updateMany(
-        { _id: { $in: expenses } },
-        { $set: { status: newStatus } },
-        { new: true }
-      );
-    } else {
-      await Expense.updateMany(
-        { _id: { $in: expenses } },
-        { $set: { status: "rejected" } },
-        { new: true }
-      );
-
-      const remainingExpenses = findApproval.expenses
-        .map((expense) => expense._id.toString())
-        .filter((id) => !expenses.includes(id));
+      status: updateApproval.status,
+    });
 
-      await Expense.updateMany(
-        { _id: { $in: remainingExpenses } },
-        { $set: { status: "approved" } },
-        { new: true }
+    if (review.outcome === "info") {
+      return responseHandler(
+        res,
+        200,
+        "Report returned to the submitter for more information"
       );
     }
-
     return responseHandler(res, 200, `Approval ${newStatus} successfully`);
   } catch (error) {
     return responseHandler(res, 500, `Internal Server Error ${error.message}`);
@@ -1598,13 +1934,9 @@ exports.getUserReports = async (req, res) => {
       return responseHandler(res, 400, "User ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("userManagement_view")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
+    const scope = await getLocationScope(req);
+    if (!(await isUserInScope(scope, id))) {
+      return responseHandler(res, 404, "User not found");
     }
 
     const fetchReports = await Report.find(filter)
@@ -1648,7 +1980,30 @@ exports.reimburseReport = async (req, res) => {
       return responseHandler(res, 400, "Approval ID is required");
     }
 
+    const scope = await getLocationScope(req);
     let report = await Report.findById(id);
+    if (!report || !(await isUserInScope(scope, report.user))) {
+      return responseHandler(res, 404, "Report not found");
+    }
+
+    const transition = transitionReport(report, "reimbursed", {
+      id: req.userId,
+      model: "Admin",
+      role: "admin",
+    });
+    if (transition.status !== 200) {
+      return responseHandler(res, transition.status, transition.message);
+    }
+
+    //* Only the approved part of the report is paid out
+    const payableAmount = await getPayableAmount(report);
+    if (Number(amount) > payableAmount) {
+      return responseHandler(
+        res,
+        400,
+        `The amount can't be more than the approved amount of ${payableAmount}`
+      );
+    }
 
     if (Number(amount) > 0) {
       const reqData = {
@@ -1662,16 +2017,12 @@ exports.reimburseReport = async (req, res) => {
       await Deduction.create(reqData);
     }
 
-    const reimburse = await Report.findByIdAndUpdate(
-      id,
-      {
-        status: "reimbursed",
-        descriptionFinance,
-        reimburserModel: "Admin",
-        reimburser: req.userId,
-      },
-      { new: true }
-    );
+    report.descriptionFinance = descriptionFinance;
+    report.reimbursedAmount = payableAmount;
+    report.reimburserModel = "Admin";
+    report.reimburser = req.userId;
+    const reimburse = await report.save();
+    await syncReportBudget(reimburse);
 
     await Notification.create({
       content: reimburse._id,
@@ -1687,6 +2038,84 @@ exports.reimburseReport = async (req, res) => {
   }
 };
 
+/* The `exports.addReportComment` function adds an admin comment to a report, or to one of its
+expenses when `expense` is given. Admins who review or pay out reports can comment, see
+`COMMENT_PERMISSIONS` on the route. */
+exports.addReportComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Report ID is required");
+    }
+
+    const createCommentValidator = createCommentSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (createCommentValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${createCommentValidator.error.message}`
+      );
+    }
+
+    const scope = await getLocationScope(req);
+    const report = await Report.findById(id);
+    if (!report || !(await isUserInScope(scope, report.user))) {
+      return responseHandler(res, 404, "Report not found");
+    }
+
+    const result = await addComment(report, {
+      ...createCommentValidator.value,
+      author: req.userId,
+      authorModel: "Admin",
+    });
+    if (result.status !== 200) {
+      return responseHandler(res, result.status, result.message);
+    }
+
+    return responseHandler(res, 200, result.message, result.comment);
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.getNotifications` function lists the unread comment and mention notifications of the
+admin, newest first, 10 per page, and marks them as read. */
+exports.getNotifications = async (req, res) => {
+  try {
+    const { pageNo = 1 } = req.query;
+    const filter = { user: req.userId, userModel: "Admin", isRead: false };
+
+    const totalCount = await Notification.countDocuments(filter);
+    const fetchNotifications = await Notification.find(filter)
+      .populate("content", "title reportId")
+      .populate("comment", "text expense")
+      .skip(10 * (pageNo - 1))
+      .limit(10)
+      .sort({ createdAt: -1 })
+      .lean();
+    if (fetchNotifications.length === 0) {
+      return responseHandler(res, 200, "No Notifications found", []);
+    }
+
+    await Notification.updateMany(
+      { _id: { $in: fetchNotifications.map((item) => item._id) } },
+      { isRead: true }
+    );
+
+    return responseHandler(
+      res,
+      200,
+      "Notifications found",
+      fetchNotifications,
+      totalCount
+    );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
 exports.getFilteredUsers = async (req, res) => {
   try {
     const { tier, role, location } = req.query;
@@ -1704,13 +2133,13 @@ exports.getFilteredUsers = async (req, res) => {
       filter.location = { $in: location };
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("userManagement_view")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
+    const scope = await getLocationScope(req);
+    if (scope) {
+      filter.location = {
+        $in: location
+          ? [].concat(location).filter((item) => scope.includes(item))
+          : scope,
+      };
     }
 
     const fetchUsers = await User.find(filter).populate("tier").lean();
@@ -1739,15 +2168,6 @@ exports.getFinance = async (req, res) => {
       return responseHandler(res, 400, "Approval ID is required");
     }
 
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("financeManagement_view")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-
     const fetchReport = await Report.findById(id)
       .populate({
         path: "user",
@@ -1758,7 +2178,11 @@ exports.getFinance = async (req, res) => {
       .populate("reimburser", "name")
       .lean();
 
-    if (!fetchReport) {
+    const scope = await getLocationScope(req);
+    if (
+      !fetchReport ||
+      !isLocationInScope(scope, fetchReport.user && fetchReport.user.location)
+    ) {
       return responseHandler(res, 404, "Report not found");
     }
 
@@ -1807,12 +2231,15 @@ exports.getFinance = async (req, res) => {
           status: expense.status,
           category: expense.category,
           image: expense.image,
+          ...formatExpenseDecision(expense),
         };
       }),
       totalAmount: fetchReport.expenses.reduce(
         (acc, curr) => acc + curr.amount,
         0
       ),
+      approvedAmount: fetchReport.approvedAmount,
+      reimbursedAmount: fetchReport.reimbursedAmount,
       walletAmount:
         walletAmount - (deductAmount.length > 0 ? deductAmount[0].amount : 0),
       deduction: deductionReport.map((res) => {
@@ -1828,6 +2255,7 @@ exports.getFinance = async (req, res) => {
       reportDate: moment(fetchReport.reportDate).format("MMM DD YYYY"),
       createdAt: moment(fetchReport.createdAt).format("MMM DD YYYY"),
       updatedAt: moment(fetchReport.updatedAt).format("MMM DD YYYY"),
+      comments: await getReportComments(fetchReport._id),
     };
 
     return responseHandler(res, 200, "Report found", mappedData);
@@ -1855,6 +2283,15 @@ exports.createtransaction = async (req, res) => {
       );
     }
 
+    const scope = await getLocationScope(req);
+    if (!(await isUserInScope(scope, transactionData.requestedBy.receiver))) {
+      return responseHandler(
+        res,
+        403,
+        "You don't have access to this location"
+      );
+    }
+
     // Create the advance payment record
     const newtransaction = await transaction.create(transactionData);
 
@@ -1888,6 +2325,18 @@ exports.viewTransactionsAndDeductions = async (req, res) => {
       query.user = new mongoose.Types.ObjectId(staffId);
     }
 
+    const scope = await getLocationScope(req);
+    if (scope) {
+      if (staffId && !(await isUserInScope(scope, staffId))) {
+        return responseHandler(res, 404, "User not found");
+      }
+      if (!staffId) {
+        const scopedUsers = await scopedUserIds(scope);
+        filter["requestedBy.receiver"] = scopedUsers;
+        query.user = scopedUsers;
+      }
+    }
+
     // Fetch transactions if type is not 'debit'
     if (!type || type === "credit") {
       transactions = await transaction
@@ -1965,7 +2414,11 @@ exports.viewtransactionById = async (req, res) => {
       .findById(transactionId)
       .populate("requestedBy.sender requestedBy.receiver paidBy", "name");
 
-    if (!transactionRecord) {
+    const scope = await getLocationScope(req);
+    if (
+      !transactionRecord ||
+      !(await isUserInScope(scope, transactionRecord.requestedBy.receiver))
+    ) {
       return responseHandler(res, 404, `Transaction not found`);
     }
 
@@ -1984,6 +2437,15 @@ exports.transactionMarkCompleted = async (req, res) => {
       return responseHandler(res, 400, "Advance Payment ID is required");
     }
 
+    const existing = await transaction.findById(id);
+    const scope = await getLocationScope(req);
+    if (
+      !existing ||
+      !(await isUserInScope(scope, existing.requestedBy.receiver))
+    ) {
+      return responseHandler(res, 404, "Advance Payment not found");
+    }
+
     // Update the advance payment with the new status and additional details
     const advance = await transaction.findByIdAndUpdate(
       id,
@@ -2030,8 +2492,19 @@ exports.createPolicy = async (req, res) => {
       );
     }
 
-    // Create the policy record
-    const newPolicy = await Policy.create(policyData);
+    const scope = await getLocationScope(req);
+    if (!isLocationInScope(scope, policyData.location)) {
+      return responseHandler(
+        res,
+        403,
+        "You don't have access to this location"
+      );
+    }
+
+    // Create the policy record, the first version of its family
+    const newPolicy = new Policy({ ...policyData, createdBy: req.userId });
+    newPolicy.family = newPolicy._id;
+    await newPolicy.save();
 
     if (newPolicy) {
       return responseHandler(
@@ -2057,7 +2530,8 @@ exports.viewPolicyById = async (req, res) => {
       .populate("tier", "tierName") // Assuming 'Tier' has a field 'tierName'
       .populate("userType", "name"); // Assuming 'userType' refers to a model with a 'name' field
 
-    if (!policy) {
+    const scope = await getLocationScope(req);
+    if (!policy || !isLocationInScope(scope, policy.location)) {
       return responseHandler(res, 404, `Policy not found`);
     }
 
@@ -2076,32 +2550,182 @@ exports.updatePolicy = async (req, res) => {
       return responseHandler(res, 400, "Policy ID is required");
     }
 
-    // Update the policy with the provided data
-    const updatedPolicy = await Policy.findByIdAndUpdate(
-      id,
-      updatedData,
-      { new: true } // Returns the updated document
+    const updatePolicyValidator = updatePolicySchema.validate(updatedData, {
+      abortEarly: true,
+    });
+    if (updatePolicyValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${updatePolicyValidator.error.message}`
+      );
+    }
+
+    const policy = await Policy.findById(id);
+    const scope = await getLocationScope(req);
+    if (!policy || !isLocationInScope(scope, policy.location)) {
+      return responseHandler(res, 404, "Policy not found");
+    }
+    if (
+      updatedData.location &&
+      !isLocationInScope(scope, updatedData.location)
+    ) {
+      return responseHandler(
+        res,
+        403,
+        "You don't have access to this location"
+      );
+    }
+
+    // Policies are immutable, the changes become a new version
+    const version = await createPolicyVersion(policy, updatedData, req.userId);
+    return responseHandler(
+      res,
+      version.status,
+      version.message,
+      version.policy
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return responseHandler(
+        res,
+        409,
+        "The policy was changed at the same time, try again"
+      );
+    }
+    return responseHandler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
+/* The `exports.getPolicyHistory` function lists every version of a policy, oldest first, with the
+dates each one applied from and until. */
+exports.getPolicyHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Policy ID is required");
+    }
+
+    const policy = await Policy.findById(id);
+    const scope = await getLocationScope(req);
+    if (!policy || !isLocationInScope(scope, policy.location)) {
+      return responseHandler(res, 404, "Policy not found");
+    }
+
+    const versions = await getPolicyVersions(policy);
+    return responseHandler(
+      res,
+      200,
+      "Policy history found",
+      versions.map(formatPolicyVersion)
     );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
 
-    if (!updatedPolicy) {
+/* The `exports.simulatePolicy` function replays the reports of a date range against a draft policy
+or draft tier categories, to show finance what a change would have blocked before it is made.
+Nothing is saved. */
+exports.simulatePolicy = async (req, res) => {
+  try {
+    const simulateValidator = simulatePolicySchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (simulateValidator.error) {
       return responseHandler(
         res,
         400,
-        "Policy update failed or Policy not found"
+        `Invalid input: ${simulateValidator.error.message}`
+      );
+    }
+
+    const scope = await getLocationScope(req);
+    if (
+      req.body.policy &&
+      req.body.policy.location &&
+      !isLocationInScope(scope, req.body.policy.location)
+    ) {
+      return responseHandler(
+        res,
+        403,
+        "You don't have access to this location"
       );
     }
 
+    const simulation = await simulatePolicy(simulateValidator.value, scope);
     return responseHandler(
       res,
-      200,
-      "Policy updated successfully",
-      updatedPolicy
+      simulation.status,
+      simulation.message,
+      simulation.data
     );
   } catch (error) {
     return responseHandler(res, 500, `Internal Server Error: ${error.message}`);
   }
 };
 
+/* The `exports.getReportPolicies` function shows which policy version applied to each expense of a
+report, for audits of past reports. Expenses checked when they were mapped show the version they
+were checked against, older ones the version in force on their date. */
+exports.getReportPolicies = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Report ID is required");
+    }
+
+    const report = await Report.findById(id)
+      .populate("user", "name tier location userType")
+      .populate("expenses")
+      .lean();
+    const scope = await getLocationScope(req);
+    if (
+      !report ||
+      !isLocationInScope(scope, report.user && report.user.location)
+    ) {
+      return responseHandler(res, 404, "Report not found");
+    }
+
+    const expenses = [];
+    for (const expense of report.expenses) {
+      const checkedPolicy = expense.policyCheck && expense.policyCheck.policy;
+      const policy = checkedPolicy
+        ? await Policy.findById(checkedPolicy)
+        : await findPolicy(report.user, expense.date || report.createdAt);
+      if (policy) {
+        await policy.populate("tier", "title");
+        await policy.populate("createdBy", "name");
+      }
+      expenses.push({
+        _id: expense._id,
+        title: expense.title,
+        amount: expense.amount,
+        category: expense.category,
+        date: moment(expense.date).format("MMM DD YYYY"),
+        ...formatPolicyCheck(expense),
+        checkedAt:
+          expense.policyCheck &&
+          expense.policyCheck.checkedAt &&
+          moment(expense.policyCheck.checkedAt).format("MMM DD YYYY hh:mm A"),
+        policySource: checkedPolicy ? "check" : "date",
+        policy: policy && formatPolicyVersion(policy.toObject()),
+      });
+    }
+
+    return responseHandler(res, 200, "Report policies found", {
+      _id: report._id,
+      reportId: report.reportId,
+      title: report.title,
+      status: report.status,
+      user: report.user.name,
+      expenses,
+    });
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
 exports.getWallet = async (req, res) => {
   try {
     const { id } = req.params;
@@ -2110,7 +2734,9 @@ exports.getWallet = async (req, res) => {
     }
     // Find the user and verify their existence
     const user = await User.findById(id);
-    if (!user) return responseHandler(res, 404, "User not found");
+    const scope = await getLocationScope(req);
+    if (!user || !isLocationInScope(scope, user.location))
+      return responseHandler(res, 404, "User not found");
 
     // Calculate the total amount of all advances paid to the user
     const advances = await transaction.find({
@@ -2190,15 +2816,10 @@ exports.getWallet = async (req, res) => {
 
 exports.getApprovers = async (req, res) => {
   try {
-    const check = await checkAccess(req.roleId, "permissions");
-    if (!check || !check.includes("userManagement_view")) {
-      return responseHandler(
-        res,
-        403,
-        "You don't have permission to perform this action"
-      );
-    }
-    const approvers = await User.find({ userType: "approver" });
+    const scope = await getLocationScope(req);
+    const filter = { userType: "approver" };
+    if (scope) filter.location = { $in: scope };
+    const approvers = await User.find(filter);
     return responseHandler(
       res,
       200,
@@ -2214,13 +2835,21 @@ exports.getDashboard = async (req, res) => {
   try {
     const start = moment().startOf("month").toDate();
     const end = moment().endOf("month").toDate();
+    const scope = await getLocationScope(req);
+    const scopedUsers = await scopedUserIds(scope);
+
+    const expenseMatch = {
+      createdAt: { $gte: start, $lte: end },
+      status: "approved",
+    };
+    const pendingFilter = { status: "pending" };
+    if (scopedUsers) {
+      expenseMatch.user = scopedUsers;
+      pendingFilter.user = scopedUsers;
+    }
+
     const expenses = await Expense.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: start, $lte: end },
-          status: "approved",
-        },
-      },
+      { $match: expenseMatch },
       {
         $group: {
           _id: "$user",
@@ -2258,7 +2887,7 @@ exports.getDashboard = async (req, res) => {
       { $limit: 5 },
     ]);
 
-    const pending = await Report.find({ status: "pending" })
+    const pending = await Report.find(pendingFilter)
       .populate("expenses")
       .limit(3)
       .sort({ reportDate: -1 });
@@ -2295,7 +2924,9 @@ exports.deductWallet = async (req, res) => {
     }
 
     const report = await Report.findById(req.body.report);
-    if (!report) return responseHandler(res, 404, "Report not found");
+    const scope = await getLocationScope(req);
+    if (!report || !(await isUserInScope(scope, report.user)))
+      return responseHandler(res, 404, "Report not found");
 
     const totalAmountInWallet = await transaction.find({
       "requestedBy.receiver": report.user,
@@ -2325,3 +2956,122 @@ exports.deductWallet = async (req, res) => {
     return responseHandler(res, 500, `Internal Server Error: ${error.message}`);
   }
 };
+
+/* Only one approval chain is active at a time, activating a chain deactivates the others. */
+const deactivateOtherChains = async (chainId) => {
+  await ApprovalChain.updateMany(
+    { _id: { $ne: chainId }, status: true },
+    { status: false }
+  );
+};
+
+exports.createApprovalChain = async (req, res) => {
+  try {
+    const createChainValidator = createApprovalChainSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (createChainValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${createChainValidator.error}`
+      );
+    }
+
+    const newChain = await ApprovalChain.create(req.body);
+    if (!newChain) {
+      return responseHandler(res, 400, `Approval chain creation failed...!`);
+    }
+    if (newChain.status) {
+      await deactivateOtherChains(newChain._id);
+    }
+    return responseHandler(
+      res,
+      200,
+      `Approval chain created successfully..!`,
+      newChain
+    );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+exports.editApprovalChain = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Approval chain ID is required");
+    }
+
+    const editChainValidator = editApprovalChainSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (editChainValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${editChainValidator.error}`
+      );
+    }
+
+    const updateChain = await ApprovalChain.findByIdAndUpdate(id, req.body, {
+      new: true,
+    });
+    if (!updateChain) {
+      return responseHandler(res, 404, "Approval chain not found");
+    }
+    if (updateChain.status) {
+      await deactivateOtherChains(updateChain._id);
+    }
+    return responseHandler(
+      res,
+      200,
+      `Approval chain updated successfully..!`,
+      updateChain
+    );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+exports.getApprovalChain = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Approval chain ID is required");
+    }
+
+    const findChain = await ApprovalChain.findById(id)
+      .populate("steps.user", "name")
+      .populate("steps.role", "roleName")
+      .lean();
+    if (!findChain) {
+      return responseHandler(res, 404, "Approval chain not found");
+    }
+    return responseHandler(res, 200, "Approval chain found", {
+      ...findChain,
+      createdAt: moment(findChain.createdAt).format("MMM DD YYYY"),
+      updatedAt: moment(findChain.updatedAt).format("MMM DD YYYY"),
+    });
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* Reports keep the steps they were created with, so deleting a chain only affects new reports. */
+exports.deleteApprovalChain = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Approval chain ID is required");
+    }
+
+    const deleteChain = await ApprovalChain.findByIdAndDelete(id);
+    if (!deleteChain) {
+      return responseHandler(res, 404, "Approval chain not found");
+    }
+    return responseHandler(res, 200, `Approval chain deleted successfully..!`);
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
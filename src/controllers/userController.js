@@ -6,23 +6,103 @@ const Notification = require("../models/notificationModel");
 const Report = require("../models/reportModel");
 const User = require("../models/userModel");
 const { hashPassword, comparePasswords } = require("../utils/bcrypt");
-const { generateOTP } = require("../utils/generateOTP");
-const { generateToken } = require("../utils/generateToken");
+const { issueOtp, verifyOtp } = require("../helpers/otp");
+const { checkReportApprover } = require("../helpers/approverAccess");
+const {
+  getDelegatorIds,
+  hasOverlappingDelegation,
+} = require("../helpers/delegation");
+const {
+  resolveApprovalSteps,
+  notifyCurrentStep,
+  applyStepDecision,
+  formatApprovalSteps,
+} = require("../helpers/approvalChain");
+const {
+  isMpinLocked,
+  registerMpinFailure,
+  resetMpinFailures,
+  createMpinSetupToken,
+  consumeMpinSetupToken,
+} = require("../helpers/mpin");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../helpers/session");
 const {
   createExpenseSchema,
+  editExpenseSchema,
   createReportSchema,
+  editReportSchema,
   problemSchema,
   createUserEventSchema,
   createUserEventEditSchema,
   createTransactionSchema,
+  createDelegationSchema,
+  updateApprovalSchema,
+  createCommentSchema,
+  mpinSchema,
+  resetMpinSchema,
+  changeMpinSchema,
 } = require("../validations");
 const Problem = require("../models/problemModel");
+const Delegation = require("../models/delegationModel");
+const {
+  checkReportInitialState,
+  initialReportTransition,
+  transitionReport,
+  transitionExpenses,
+  formatTransitions,
+} = require("../helpers/stateMachine");
+const {
+  recordRevision,
+  markRevisionReviewed,
+  diffSinceLastReview,
+} = require("../helpers/reportRevision");
+const {
+  resolveDecisions,
+  applyDecisions,
+  formatExpenseDecision,
+  getPayableAmount,
+  REVIEW_STATUSES,
+} = require("../helpers/expenseDecision");
+const { nextReportId } = require("../helpers/reportNumber");
+const {
+  findDuplicates,
+  getReceiptFingerprint,
+} = require("../helpers/duplicateCheck");
+const {
+  applyPolicyChecks,
+  formatPolicyCheck,
+} = require("../helpers/policyRules");
+const {
+  checkCategoryLimits,
+  getCategoryLimit,
+  isMetro,
+} = require("../helpers/categoryLimits");
+const { findPolicy } = require("../helpers/policyVersions");
+const {
+  checkAllowance,
+  formatBudget,
+  syncBudget,
+  syncReportBudget,
+} = require("../helpers/budgetLedger");
+const {
+  findMismatches,
+  formatReceiptCheck,
+} = require("../helpers/receiptCheck");
+const {
+  canViewReport,
+  addComment,
+  getReportComments,
+} = require("../helpers/comments");
 const Event = require("../models/eventModel");
 const mongoose = require("mongoose");
-const runOCR = require("../jobs/billAnalysis");
+const { queueBillAnalysis } = require("../jobs/billAnalysis");
 const analyzeImage = require("../jobs/imageAnalysis");
 const transaction = require("../models/transactionModel");
-const Policy = require("../models/policyModel");
 const Deduction = require("../models/deductionModel");
 const Location = require("../models/locationModel");
 const sendMail = require("../utils/sendMail");
@@ -39,15 +119,11 @@ exports.sendOtp = async (req, res) => {
     if (!user) {
       return responseHandler(res, 404, "User not found");
     }
-    const otp = generateOTP(4);
-    const sendOtpFn = await sendMail(email, otp);
-    if (sendOtpFn.status == "failure") {
-      return responseHandler(res, 400, "OTP sent failed");
-    } else {
-      user.otp = otp;
-      await user.save();
-      return responseHandler(res, 200, "OTP sent successfully");
-    }
+    const result = await issueOtp(user._id, "login", async (otp) => {
+      const sendOtpFn = await sendMail(email, otp);
+      return sendOtpFn.status != "failure";
+    });
+    return responseHandler(res, result.status, result.message);
   } catch (error) {
     return responseHandler(res, 500, `Internal Server Error ${error.message}`);
   }
@@ -68,15 +144,19 @@ exports.verifyUser = async (req, res) => {
     if (!user) {
       return responseHandler(res, 404, "User not found");
     }
-    if (user.otp !== Number(otp)) {
-      return responseHandler(res, 400, "Invalid OTP");
+    const result = await verifyOtp(user._id, "login", otp);
+    if (result.status !== 200) {
+      return responseHandler(res, result.status, result.message);
     }
-    user.otp = null;
     user.isVerified = true;
     user.status = true;
+    //* Users without an MPIN get a one-time token to set it up
+    const mpinToken = user.mpin ? undefined : createMpinSetupToken(user);
     await user.save();
 
-    return responseHandler(res, 200, "User verified successfully");
+    return responseHandler(res, 200, "User verified successfully", {
+      mpinToken,
+    });
   } catch (error) {
     return responseHandler(res, 500, `Internal Server Error ${error.message}`);
   }
@@ -87,14 +167,17 @@ Identification Number) related operations for a user. Here is a breakdown of wha
 doing: */
 exports.mpinHandler = async (req, res) => {
   try {
-    const { email, mpin } = req.body;
-
-    if (!email) {
-      return responseHandler(res, 400, "Email is required");
-    }
-    if (!mpin) {
-      return responseHandler(res, 400, "MPIN is required");
+    const mpinValidator = mpinSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (mpinValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${mpinValidator.error.message}`
+      );
     }
+    const { email, mpin, mpinToken } = req.body;
 
     const user = await User.findOne({ email });
     if (!user) {
@@ -102,21 +185,44 @@ exports.mpinHandler = async (req, res) => {
     }
 
     if (user.mpin) {
+      if (isMpinLocked(user)) {
+        return responseHandler(
+          res,
+          429,
+          "Too many failed attempts, please try again later or reset your MPIN"
+        );
+      }
+
       const comparePassword = await comparePasswords(mpin, user.mpin);
       if (!comparePassword) {
+        await registerMpinFailure(user);
         return responseHandler(res, 401, "Invalid MPIN");
       }
 
-      const token = generateToken(user._id, user.userType);
+      if (user.mpinAttempts || user.mpinLockCount) {
+        resetMpinFailures(user);
+        await user.save();
+      }
+
+      const { token, refreshToken } = await createSession(user, "User", req);
       return responseHandler(res, 200, "Login successfull..!", {
         _id: user._id,
         token,
+        refreshToken,
         userType: user.userType,
         username: user.name,
         employeeId: user.employeeId,
       });
     }
 
+    if (!user.isVerified || !consumeMpinSetupToken(user, mpinToken)) {
+      return responseHandler(
+        res,
+        403,
+        "Please verify your email with OTP before setting an MPIN"
+      );
+    }
+
     const hashedPassword = await hashPassword(mpin);
     user.mpin = hashedPassword;
     const updateUser = await user.save();
@@ -131,6 +237,100 @@ exports.mpinHandler = async (req, res) => {
   }
 };
 
+/* The `exports.forgotMpin` function sends a fresh OTP to the user's email which has to be presented
+to `resetMpin` before a new MPIN can be set. */
+exports.forgotMpin = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return responseHandler(res, 400, "Email is required");
+    }
+    const user = await User.findOne({ email });
+    if (!user) {
+      return responseHandler(res, 404, "User not found");
+    }
+    const result = await issueOtp(user._id, "mpin_reset", async (otp) => {
+      const sendOtpFn = await sendMail(email, otp);
+      return sendOtpFn.status != "failure";
+    });
+    return responseHandler(res, result.status, result.message);
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.resetMpin` function sets a new MPIN after verifying the OTP sent by `forgotMpin`. It
+clears any MPIN lockout and logs the user out of every device. */
+exports.resetMpin = async (req, res) => {
+  try {
+    const resetMpinValidator = resetMpinSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (resetMpinValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${resetMpinValidator.error.message}`
+      );
+    }
+    const { email, otp, mpin } = req.body;
+    const user = await User.findOne({ email });
+    if (!user) {
+      return responseHandler(res, 404, "User not found");
+    }
+    const result = await verifyOtp(user._id, "mpin_reset", otp);
+    if (result.status !== 200) {
+      return responseHandler(res, result.status, result.message);
+    }
+
+    user.mpin = await hashPassword(mpin);
+    user.isVerified = true;
+    resetMpinFailures(user);
+    await user.save();
+    await revokeAllSessions(user._id, "mpin_reset");
+
+    return responseHandler(res, 200, "MPIN reset successfully");
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.refreshToken` function exchanges a refresh token for a new access/refresh token pair.
+Each refresh token can be used once; presenting an already used one revokes the whole session. */
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return responseHandler(res, 400, "Refresh token is required");
+    }
+
+    const tokens = await rotateSession(refreshToken, "User");
+    if (!tokens) {
+      return responseHandler(res, 401, "Invalid refresh token");
+    }
+
+    return responseHandler(res, 200, "Token refreshed successfully", tokens);
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.logout` function revokes the session of the current token. When `all` is set in the
+body every session of the user is revoked, logging them out of all devices. */
+exports.logout = async (req, res) => {
+  try {
+    const { all } = req.body;
+    if (all) {
+      await revokeAllSessions(req.userId);
+    } else {
+      await revokeSession(req.sessionId);
+    }
+    return responseHandler(res, 200, "Logged out successfully");
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
 /* The above code is a JavaScript function that checks if a user with a specific phone number is
 verified. It first retrieves the phone number from the request parameters, then queries the database
 to find a user with that phone number. If the user is not found, it returns a 404 status code with
@@ -171,7 +371,7 @@ exports.createExpense = async (req, res) => {
     req.body.user = req.userId;
     const newExpense = await Expense.create(req.body);
     if (newExpense) {
-      await runOCR(newExpense._id);
+      await queueBillAnalysis(newExpense._id);
       return responseHandler(
         res,
         200,
@@ -201,10 +401,11 @@ exports.createReport = async (req, res) => {
       );
     }
 
-    const reportCount = await Report.countDocuments();
-    const nextReportNumber = reportCount + 1;
-    const formattedReportNumber = nextReportNumber.toString().padStart(3, "0");
-    req.body.reportId = `Rep#${formattedReportNumber}`;
+    req.body.status = req.body.status || "pending";
+    const initialState = checkReportInitialState(req.body.status);
+    if (initialState.status !== 200) {
+      return responseHandler(res, initialState.status, initialState.message);
+    }
 
     const expenseIds = req.body.expenses;
     if (expenseIds.length === 0) {
@@ -218,8 +419,73 @@ exports.createReport = async (req, res) => {
 
     // Function to create a new report and send notification
     const createNewReport = async () => {
-      req.body.user = req.userId;
-      const newReport = await Report.create(req.body);
+      if (expenses.some((expense) => String(expense.user) !== req.userId)) {
+        return responseHandler(
+          res,
+          403,
+          "You can only report your own expenses"
+        );
+      }
+      const duplicates = await findDuplicates(expenses);
+      if (duplicates.length > 0 && !req.body.acknowledgeDuplicates) {
+        return responseHandler(
+          res,
+          409,
+          "Some expenses look like bills that were already claimed, review them and submit again with acknowledgeDuplicates to report them anyway",
+          duplicates
+        );
+      }
+      req.body.duplicatesAcknowledged = duplicates.length > 0;
+      //* Blocked expenses can be drafted, but not sent for approval
+      const policyCheck = await applyPolicyChecks(
+        user,
+        expenseIds,
+        req.body.status === "pending"
+      );
+      if (policyCheck.status !== 200) {
+        return responseHandler(
+          res,
+          policyCheck.status,
+          policyCheck.message,
+          policyCheck.blocked
+        );
+      }
+      const draftIds = expenses
+        .filter((expense) => expense.status !== "mapped")
+        .map((expense) => expense._id);
+      const mapExpenses = await transitionExpenses(
+        expenseIds,
+        "mapped",
+        "owner"
+      );
+      if (mapExpenses.status !== 200) {
+        return responseHandler(res, mapExpenses.status, mapExpenses.message);
+      }
+
+      let newReport;
+      try {
+        req.body.user = req.userId;
+        req.body.transitions = [
+          initialReportTransition(req.body.status, {
+            id: req.userId,
+            model: "User",
+          }),
+        ];
+        req.body.approvalSteps = await resolveApprovalSteps(user, expenses);
+        req.body.currentStep = 0;
+        req.body.currentStepAt = new Date();
+        req.body.reportId = await nextReportId(req.body);
+        newReport = new Report(req.body);
+        if (newReport.status === "pending") {
+          await recordRevision(newReport);
+        }
+        await newReport.save();
+      } catch (error) {
+        //* Without a report the expenses go back to draft, so they can be reported again
+        await transitionExpenses(draftIds, "draft", "owner");
+        throw error;
+      }
+      await syncReportBudget(newReport);
       if (newReport) {
         const data = {
           content: newReport._id,
@@ -227,12 +493,9 @@ exports.createReport = async (req, res) => {
           status: newReport.status,
         };
         await Notification.create(data);
-        const approverNotification = {
-          content: newReport._id,
-          user: user.approver,
-          status: newReport.status,
-        };
-        await Notification.create(approverNotification);
+        if (newReport.status === "pending") {
+          await notifyCurrentStep(newReport);
+        }
         return responseHandler(
           res,
           200,
@@ -244,57 +507,41 @@ exports.createReport = async (req, res) => {
       }
     };
 
-    // Check if it is an event created by admin
+    let event;
     if (req.body.event) {
-      const event = await Event.findOne({ _id: req.body.event });
-      if (event.type === "Admin") {
-        await Expense.updateMany(
-          { _id: { $in: expenseIds } },
-          { status: "mapped" }
-        );
-        return await createNewReport();
-      }
+      event = await Event.findOne({ _id: req.body.event });
       if (!event) {
         return responseHandler(res, 404, "Event not found");
       }
     }
 
-    // Object to keep track of total amounts per category
-    const categoryTotals = {};
+    // Check the expenses against the per report, day, month, event, expense or night limits of the user's tier categories
+    const categoryViolations = await checkCategoryLimits(user, expenses, {
+      event: req.body.event,
+    });
+    if (categoryViolations.length > 0) {
+      return responseHandler(res, 400, categoryViolations[0].message);
+    }
 
-    for (let expense of expenses) {
-      if (expense.status === "mapped") {
-        return responseHandler(
-          res,
-          400,
-          `Expense with title ${expense.title} is already mapped.`
-        );
+    //* Drafts take nothing from the allowance until they are submitted
+    if (req.body.status === "pending") {
+      const allowance = await checkAllowance(user, expenses);
+      if (allowance.status !== 200) {
+        return responseHandler(res, allowance.status, allowance.message);
       }
+    }
 
-      if (categoryTotals[expense.category]) {
-        categoryTotals[expense.category] += expense.amount;
-      } else {
-        categoryTotals[expense.category] = expense.amount;
-      }
+    // Check if it is an event created by admin
+    if (event && event.type === "Admin") {
+      return await createNewReport();
     }
 
-    // Check if any category total exceeds the user's tier category max amount
-    for (const [title, value] of Object.entries(categoryTotals)) {
-      const lowerCaseTitle = title.toLowerCase();
-      const tierCategory = user.tier.categories.find(
-        (cat) => cat.title.toLowerCase() === lowerCaseTitle
-      );
-      if (!tierCategory) {
-        return responseHandler(res, 400, `Category ${title} not found.`);
-      }
-      if (tierCategory && tierCategory.status === false) {
-        return responseHandler(res, 400, `Category ${title} is disabled.`);
-      }
-      if (tierCategory && value > tierCategory.maxAmount) {
+    for (let expense of expenses) {
+      if (expense.status === "mapped") {
         return responseHandler(
           res,
           400,
-          `Total amount for category ${title} exceeds the maximum allowed.`
+          `Expense with title ${expense.title} is already mapped.`
         );
       }
     }
@@ -311,37 +558,6 @@ exports.createReport = async (req, res) => {
       );
     }
 
-    const startOfMonth = moment().startOf("month");
-    const endOfMonth = moment().endOf("month");
-
-    const existingReports = await Report.find({
-      reportDate: { $gte: startOfMonth.toDate(), $lte: endOfMonth.toDate() },
-      status: { $in: ["approved", "reimbursed"] },
-    });
-
-    let existingTotalAmount = 0;
-    for (let report of existingReports) {
-      const reportExpenses = await Expense.find({
-        _id: { $in: report.expenses },
-      });
-      for (let expense of reportExpenses) {
-        existingTotalAmount += expense.amount;
-      }
-    }
-
-    if (existingTotalAmount > user.tier.totalAmount) {
-      return responseHandler(
-        res,
-        400,
-        `The total amount of existing reports within the last 30 days exceeds your tier limit of ${user.tier.totalAmount}.`
-      );
-    }
-
-    await Expense.updateMany(
-      { _id: { $in: expenseIds } },
-      { status: "mapped" }
-    );
-
     return await createNewReport();
   } catch (error) {
     return responseHandler(res, 500, `Internal Server Error ${error.message}`);
@@ -462,6 +678,7 @@ exports.listController = async (req, res) => {
       const totalCount = await Notification.countDocuments(filter);
       const fetchNotifications = await Notification.find(filter)
         .populate("content", "title reportId")
+        .populate("comment", "text expense")
         .populate({
           path: "content",
           populate: {
@@ -540,6 +757,47 @@ exports.listController = async (req, res) => {
         mappedData,
         totalCount
       );
+    } else if (type === "delegations") {
+      //* Delegations the user gave away as well as the ones they received
+      const query = {
+        $or: [{ approver: req.userId }, { delegate: req.userId }],
+      };
+      if (status) {
+        query.status = status === "true";
+      }
+      const totalCount = await Delegation.countDocuments(query);
+      const fetchDelegations = await Delegation.find(query)
+        .populate("approver", "name")
+        .populate("delegate", "name")
+        .skip(skipCount)
+        .limit(10)
+        .sort({ startDate: -1 })
+        .lean();
+      if (!fetchDelegations || fetchDelegations.length === 0) {
+        return responseHandler(res, 200, "No Delegations found", []);
+      }
+
+      const mappedData = fetchDelegations.map((item) => {
+        return {
+          _id: item._id,
+          approver: item.approver && item.approver.name,
+          delegate: item.delegate && item.delegate.name,
+          isDelegator:
+            !!item.approver && item.approver._id.toString() === req.userId,
+          startDate: moment(item.startDate).format("MMM DD YYYY"),
+          endDate: moment(item.endDate).format("MMM DD YYYY"),
+          reason: item.reason,
+          status: item.status,
+        };
+      });
+
+      return responseHandler(
+        res,
+        200,
+        "Delegations found",
+        mappedData,
+        totalCount
+      );
     } else if (type === "approvals") {
       const user = await User.findById(req.userId).populate("tier");
 
@@ -555,6 +813,12 @@ exports.listController = async (req, res) => {
         );
       }
 
+      //* Approvers also see the reports of approvers they are standing in for
+      const approverIds = [
+        new mongoose.Types.ObjectId(req.userId),
+        ...(await getDelegatorIds(req.userId)),
+      ];
+
       const result = await Report.aggregate([
         {
           $lookup: {
@@ -584,7 +848,14 @@ exports.listController = async (req, res) => {
         { $unwind: "$tierDetails" },
         {
           $match: {
-            "userDetails.approver": new mongoose.Types.ObjectId(req.userId),
+            user: { $ne: new mongoose.Types.ObjectId(req.userId) },
+            $or: [
+              { "approvalSteps.user": { $in: approverIds } },
+              {
+                "approvalSteps.0": { $exists: false },
+                "userDetails.approver": { $in: approverIds },
+              },
+            ],
           },
         },
         {
@@ -700,6 +971,8 @@ exports.getExpense = async (req, res) => {
     if (expense.aiScores) {
       mappedData.aiScores = expense.aiScores;
     }
+    mappedData.analysisStatus = expense.analysis && expense.analysis.status;
+    Object.assign(mappedData, formatPolicyCheck(expense));
 
     return responseHandler(res, 200, "Expense found", mappedData);
   } catch (error) {
@@ -734,6 +1007,9 @@ exports.getReport = async (req, res) => {
           location: "Event Location",
           status: "drafted",
           reportDate: new Date(),
+          transitions: [
+            initialReportTransition("drafted", { id: user, model: "User" }),
+          ],
         });
       }
     } else {
@@ -761,6 +1037,7 @@ exports.getReport = async (req, res) => {
       title: report.title,
       status: report.status,
       totalAmount: report.expenses.reduce((acc, exp) => acc + exp.amount, 0),
+      approvedAmount: report.approvedAmount,
       expenseCount: report.expenses.length,
       Event: report.event,
       eventStatus: eventStatus,
@@ -773,9 +1050,16 @@ exports.getReport = async (req, res) => {
         category: expense.category,
         image: expense.image,
         description: expense.description,
+        ...formatExpenseDecision(expense),
+        ...formatPolicyCheck(expense),
       })),
       date: moment(report.reportDate).format("MMM DD YYYY"),
       reason: report.reason,
+      revision: report.revision,
+      transitions: formatTransitions(
+        await report.populate("transitions.actor", "name")
+      ),
+      comments: await getReportComments(report._id),
     };
 
     return responseHandler(res, 200, "Report found", mappedData);
@@ -792,10 +1076,16 @@ exports.getCategory = async (req, res) => {
     if (!user) {
       return responseHandler(res, 404, "User not found");
     }
+    //* `limit` is the one for the user's own location, expenses elsewhere get the other multiplier
     const mappedData = user.tier.categories
       .filter((item) => item.status)
       .map((item) => ({
         title: item.title.charAt(0).toUpperCase() + item.title.slice(1),
+        limitType: item.limitType,
+        maxAmount: item.maxAmount,
+        multipliers: item.multipliers,
+        metro: isMetro(user.location),
+        limit: getCategoryLimit(item, user.location),
       }));
 
     return responseHandler(res, 200, "Categories found", mappedData);
@@ -809,26 +1099,40 @@ Identification Number) for a user. It takes in the mobile number, new MPIN, and
 Password) as input from the request body. Here is a breakdown of the code: */
 exports.changeMpin = async (req, res) => {
   try {
-    const { mobile, mpin, oldmpin } = req.body;
-    if (!mobile) {
-      return responseHandler(res, 400, "Mobile number is required");
-    }
-    if (!mpin) {
-      return responseHandler(res, 400, "MPIN is required");
+    const changeMpinValidator = changeMpinSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (changeMpinValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${changeMpinValidator.error.message}`
+      );
     }
+    const { mobile, mpin, oldmpin } = req.body;
 
     const user = await User.findOne({ mobile });
-    if (!user) {
+    if (!user || !user.mpin) {
       return responseHandler(res, 404, "User not found");
     }
 
+    if (isMpinLocked(user)) {
+      return responseHandler(
+        res,
+        429,
+        "Too many failed attempts, please try again later or reset your MPIN"
+      );
+    }
+
     const comparePassword = await comparePasswords(oldmpin, user.mpin);
     if (!comparePassword) {
+      await registerMpinFailure(user);
       return responseHandler(res, 401, "Invalid MPIN");
     }
     // user.otp = null;
     const hashedPassword = await hashPassword(mpin);
     user.mpin = hashedPassword;
+    resetMpinFailures(user);
     await user.save();
     return responseHandler(res, 200, "MPIN changed successfully");
   } catch (error) {
@@ -892,6 +1196,33 @@ exports.createEvent = async (req, res) => {
   }
 };
 
+/* Checks that sending the expenses `expenseIds` for approval keeps the user `userId` within their
+tier's allowance, see `checkAllowance`. Callers run it before any expense of the report moves, so
+a report over the allowance is left as it was. */
+const checkSubmissionAllowance = async (userId, expenseIds) => {
+  const user = await User.findById(userId);
+  const expenses = await Expense.find({ _id: { $in: expenseIds } });
+  return checkAllowance(user, expenses);
+};
+
+/* Puts a drafted, rejected or questioned report (back) into review once the caller moved it to
+`pending`: its expenses return to `mapped`, the approval route is worked out again and a new
+revision is recorded. The allowance is checked beforehand, see `checkSubmissionAllowance`. Nothing
+is saved. */
+const prepareSubmission = async (report) => {
+  const user = await User.findById(report.user).populate("tier");
+  const expenses = await Expense.find({ _id: { $in: report.expenses } });
+
+  const reopen = await transitionExpenses(report.expenses, "mapped", "system");
+  if (reopen.status !== 200) return reopen;
+
+  report.approvalSteps = await resolveApprovalSteps(user, expenses);
+  report.currentStep = 0;
+  report.currentStepAt = new Date();
+  await recordRevision(report);
+  return { status: 200, message: "Report submitted" };
+};
+
 exports.updateReport = async (req, res) => {
   try {
     const { id } = req.params;
@@ -899,16 +1230,78 @@ exports.updateReport = async (req, res) => {
       return responseHandler(res, 400, "Report ID is required");
     }
 
+    const editReportValidator = editReportSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (editReportValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${editReportValidator.error.message}`
+      );
+    }
+
     const findReport = await Report.findById(id);
-    if (!findReport) {
+    if (!findReport || String(findReport.user) !== req.userId) {
       return responseHandler(res, 404, "Report not found");
     }
 
+    //* Reports under review or decided are only changed through their transitions
+    if (
+      !["drafted", "rejected", "info_requested"].includes(findReport.status)
+    ) {
+      return responseHandler(
+        res,
+        409,
+        "Only drafted or rejected reports, or reports with questions, can be edited"
+      );
+    }
+
+    const { status, ...changes } = req.body;
+    const isSubmitted = !!status && status !== findReport.status;
+    if (isSubmitted) {
+      const transition = transitionReport(findReport, status, {
+        id: req.userId,
+        model: "User",
+        role: "owner",
+      });
+      if (transition.status !== 200) {
+        return responseHandler(res, transition.status, transition.message);
+      }
+    }
+
     const reportExpenses = (findReport.expenses || []).map((expense) =>
       expense.toString()
     );
     const requestExpenses = req.body.expenses || [];
 
+    if (requestExpenses.length > 0 || isSubmitted) {
+      const owner = await User.findById(req.userId);
+      const policyCheck = await applyPolicyChecks(
+        owner,
+        requestExpenses.length > 0 ? requestExpenses : reportExpenses,
+        isSubmitted && status === "pending"
+      );
+      if (policyCheck.status !== 200) {
+        return responseHandler(
+          res,
+          policyCheck.status,
+          policyCheck.message,
+          policyCheck.blocked
+        );
+      }
+    }
+
+    if (isSubmitted && status === "pending") {
+      const allowance = await checkSubmissionAllowance(
+        req.userId,
+        requestExpenses.length > 0 ? requestExpenses : reportExpenses
+      );
+      if (allowance.status !== 200) {
+        return responseHandler(res, allowance.status, allowance.message);
+      }
+    }
+
     if (requestExpenses.length > 0) {
       const expensesOnlyInRequest = requestExpenses.filter(
         (expense) => !reportExpenses.includes(expense)
@@ -918,33 +1311,57 @@ exports.updateReport = async (req, res) => {
         (expense) => !requestExpenses.includes(expense)
       );
 
-      if (expensesOnlyInRequest.length > 0) {
-        await Expense.updateMany(
-          { _id: { $in: expensesOnlyInRequest } },
-          { status: "mapped" }
+      const newExpenses = await Expense.find({
+        _id: { $in: expensesOnlyInRequest },
+      });
+      if (newExpenses.some((expense) => String(expense.user) !== req.userId)) {
+        return responseHandler(
+          res,
+          403,
+          "You can only report your own expenses"
         );
       }
 
-      if (expensesOnlyInReport.length > 0) {
-        await Expense.updateMany(
-          { _id: { $in: expensesOnlyInReport } },
-          { status: "draft" }
+      const unmapExpenses = await transitionExpenses(
+        expensesOnlyInReport,
+        "draft",
+        "owner"
+      );
+      if (unmapExpenses.status !== 200) {
+        return responseHandler(
+          res,
+          unmapExpenses.status,
+          unmapExpenses.message
         );
       }
+
+      const mapExpenses = await transitionExpenses(
+        expensesOnlyInRequest,
+        "mapped",
+        "owner"
+      );
+      if (mapExpenses.status !== 200) {
+        return responseHandler(res, mapExpenses.status, mapExpenses.message);
+      }
     }
 
+    findReport.set(changes);
     if (findReport.reportId == undefined) {
-      const reportCount = await Report.countDocuments();
-      const nextReportNumber = reportCount + 1;
-      const formattedReportNumber = nextReportNumber
-        .toString()
-        .padStart(3, "0");
-      req.body.reportId = `Rep#${formattedReportNumber}`;
+      findReport.reportId = await nextReportId(findReport);
     }
 
-    const updatedReport = await Report.findByIdAndUpdate(id, req.body, {
-      new: true,
-    });
+    if (isSubmitted) {
+      const submission = await prepareSubmission(findReport);
+      if (submission.status !== 200) {
+        return responseHandler(res, submission.status, submission.message);
+      }
+    }
+
+    const updatedReport = await findReport.save();
+    if (isSubmitted) {
+      await syncReportBudget(updatedReport);
+      await notifyCurrentStep(updatedReport);
+    }
 
     return responseHandler(
       res,
@@ -957,17 +1374,420 @@ exports.updateReport = async (req, res) => {
   }
 };
 
-exports.getWalletUsed = async (req, res) => {
+/* The `exports.recallReport` function lets the submitter take a pending report back into drafts,
+for example to fix it before an approver looks at it. */
+exports.recallReport = async (req, res) => {
   try {
-    const user = await User.findById(req.userId).populate("tier");
-    if (!user) return responseHandler(res, 404, "User not found");
-    const totalAmount = user.tier.totalAmount;
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Report ID is required");
+    }
 
-    const startOfMonth = moment().startOf("month");
+    const findReport = await Report.findOne({ _id: id, user: req.userId });
+    if (!findReport) {
+      return responseHandler(res, 404, "Report not found");
+    }
+
+    const transition = transitionReport(
+      findReport,
+      "drafted",
+      { id: req.userId, model: "User", role: "owner" },
+      req.body.reason
+    );
+    if (transition.status !== 200) {
+      return responseHandler(res, transition.status, transition.message);
+    }
+
+    //* The expenses become editable again until the report is submitted anew
+    const unmapExpenses = await transitionExpenses(
+      findReport.expenses,
+      "draft",
+      "owner"
+    );
+    if (unmapExpenses.status !== 200) {
+      return responseHandler(res, unmapExpenses.status, unmapExpenses.message);
+    }
+
+    const updatedReport = await findReport.save();
+    await syncReportBudget(updatedReport);
+    return responseHandler(
+      res,
+      200,
+      "Report recalled successfully",
+      updatedReport
+    );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.resubmitReport` function sends a rejected report, or one the reviewer asked questions
+about, usually after its expenses were corrected, back for approval as a new revision of the same report. */
+exports.resubmitReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Report ID is required");
+    }
+
+    const findReport = await Report.findOne({ _id: id, user: req.userId });
+    if (!findReport) {
+      return responseHandler(res, 404, "Report not found");
+    }
+
+    if (!["rejected", "info_requested"].includes(findReport.status)) {
+      return responseHandler(
+        res,
+        409,
+        "Only rejected reports, or reports with questions, can be resubmitted"
+      );
+    }
+
+    const transition = transitionReport(
+      findReport,
+      "pending",
+      { id: req.userId, model: "User", role: "owner" },
+      req.body.reason
+    );
+    if (transition.status !== 200) {
+      return responseHandler(res, transition.status, transition.message);
+    }
+
+    const owner = await User.findById(req.userId);
+    const policyCheck = await applyPolicyChecks(
+      owner,
+      findReport.expenses,
+      true
+    );
+    if (policyCheck.status !== 200) {
+      return responseHandler(
+        res,
+        policyCheck.status,
+        policyCheck.message,
+        policyCheck.blocked
+      );
+    }
+
+    const allowance = await checkSubmissionAllowance(
+      req.userId,
+      findReport.expenses
+    );
+    if (allowance.status !== 200) {
+      return responseHandler(res, allowance.status, allowance.message);
+    }
+
+    const submission = await prepareSubmission(findReport);
+    if (submission.status !== 200) {
+      return responseHandler(res, submission.status, submission.message);
+    }
+
+    const updatedReport = await findReport.save();
+    await syncReportBudget(updatedReport);
+    await notifyCurrentStep(updatedReport);
+
+    return responseHandler(
+      res,
+      200,
+      `Report resubmitted as revision ${updatedReport.revision}`,
+      updatedReport
+    );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.addReportComment` function adds a comment to a report, or to one of its expenses
+when `expense` is given. The submitter and the report's approvers can comment, and reply to an
+existing thread through `parent`. */
+exports.addReportComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Report ID is required");
+    }
+
+    const createCommentValidator = createCommentSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (createCommentValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${createCommentValidator.error.message}`
+      );
+    }
+
+    const findReport = await Report.findById(id);
+    if (!findReport || !(await canViewReport(req.userId, findReport))) {
+      return responseHandler(res, 404, "Report not found");
+    }
+
+    const result = await addComment(findReport, {
+      ...createCommentValidator.value,
+      author: req.userId,
+      authorModel: "User",
+    });
+    if (result.status !== 200) {
+      return responseHandler(res, result.status, result.message);
+    }
+
+    return responseHandler(res, 200, result.message, result.comment);
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* Whether the submitter may still edit or delete `expense`: drafts, and rejected expenses or
+expenses the reviewer asked about while their report is being corrected for resubmission. Returns
+`{ status, message }`, with status 200 when the expense can change. */
+const checkExpenseEditable = async (expense) => {
+  const editable = { status: 200, message: "Expense can be edited" };
+  if (expense.status === "draft") return editable;
+
+  if (["rejected", "info_requested"].includes(expense.status)) {
+    const report = await Report.findOne({ expenses: expense._id }).select(
+      "status"
+    );
+    if (
+      !report ||
+      ["drafted", "rejected", "info_requested"].includes(report.status)
+    ) {
+      return editable;
+    }
+  }
+
+  return {
+    status: 409,
+    message:
+      "Only draft expenses, or rejected expenses of a report being corrected, can be changed",
+  };
+};
+
+//* Bill analysis is redone from scratch when the images of an expense change
+const resetBillAnalysis = (expense) => {
+  expense.documentOcrText = [];
+  expense.aiScores = undefined;
+  expense.receipt = undefined;
+  expense.mismatches = [];
+  expense.imageHashes = [];
+  expense.imageHashBands = [];
+  expense.fingerprint = undefined;
+};
+
+/* The `exports.updateExpense` function edits an expense of the user. Only expenses that are not part
+of a report under review can change: drafts, and rejected expenses or expenses the reviewer asked about
+being corrected for resubmission. New images are analysed again. */
+exports.updateExpense = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Expense ID is required");
+    }
+
+    const editExpenseValidator = editExpenseSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (editExpenseValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${editExpenseValidator.error}`
+      );
+    }
+
+    const findExpense = await Expense.findOne({ _id: id, user: req.userId });
+    if (!findExpense) {
+      return responseHandler(res, 404, "Expense not found");
+    }
+
+    const editable = await checkExpenseEditable(findExpense);
+    if (editable.status !== 200) {
+      return responseHandler(res, editable.status, editable.message);
+    }
+
+    const imagesChanged =
+      req.body.image &&
+      JSON.stringify(req.body.image) !== JSON.stringify(findExpense.image);
+    findExpense.set(req.body);
+    if (imagesChanged) {
+      resetBillAnalysis(findExpense);
+    } else if (findExpense.receipt && findExpense.receipt.extractedAt) {
+      //* The receipt stays the same, the corrected claim is compared with it again
+      findExpense.mismatches = findMismatches(findExpense, findExpense.receipt);
+      findExpense.fingerprint = getReceiptFingerprint(findExpense);
+    }
+    const updatedExpense = await findExpense.save();
+    if (imagesChanged) await queueBillAnalysis(updatedExpense._id);
+    return responseHandler(
+      res,
+      200,
+      "Expense updated successfully",
+      updatedExpense
+    );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.deleteExpense` function deletes an expense of the user while it can still be edited.
+A rejected expense is also taken out of the report being corrected. */
+exports.deleteExpense = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Expense ID is required");
+    }
+
+    const findExpense = await Expense.findOne({ _id: id, user: req.userId });
+    if (!findExpense) {
+      return responseHandler(res, 404, "Expense not found");
+    }
+
+    const editable = await checkExpenseEditable(findExpense);
+    if (editable.status !== 200) {
+      return responseHandler(res, editable.status, editable.message);
+    }
+
+    await Report.updateMany(
+      { expenses: findExpense._id },
+      { $pull: { expenses: findExpense._id } }
+    );
+    await findExpense.deleteOne();
+    return responseHandler(res, 200, "Expense deleted successfully");
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.duplicateExpense` function creates a new draft expense from one of the user's
+expenses, e.g. for a recurring cab ride. Fields in the body replace the copied ones. Receipts are
+not copied unless new images are sent, since a receipt belongs to a single expense. */
+exports.duplicateExpense = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Expense ID is required");
+    }
+
+    const editExpenseValidator = editExpenseSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (editExpenseValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${editExpenseValidator.error}`
+      );
+    }
+
+    const findExpense = await Expense.findOne({
+      _id: id,
+      user: req.userId,
+    }).lean();
+    if (!findExpense) {
+      return responseHandler(res, 404, "Expense not found");
+    }
+
+    const newExpense = await Expense.create({
+      title: findExpense.title,
+      amount: findExpense.amount,
+      date: findExpense.date,
+      time: findExpense.time,
+      location: findExpense.location,
+      address: findExpense.address,
+      category: findExpense.category,
+      nights: findExpense.nights,
+      description: findExpense.description,
+      ...req.body,
+      user: req.userId,
+    });
+    if (newExpense.image && newExpense.image.length > 0) {
+      await queueBillAnalysis(newExpense._id);
+    }
+
+    return responseHandler(
+      res,
+      200,
+      "Expense duplicated successfully",
+      newExpense
+    );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.getExpenseAnalysis` function reports how far the bill analysis of an expense is, and
+its scores, the fields read from the receipt and the mismatches with the claim once it is done. */
+exports.getExpenseAnalysis = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Expense ID is required");
+    }
+
+    const findExpense = await Expense.findOne({ _id: id, user: req.userId })
+      .select("analysis aiScores receipt mismatches")
+      .lean();
+    if (!findExpense) {
+      return responseHandler(res, 404, "Expense not found");
+    }
+
+    const analysis = findExpense.analysis || {};
+    return responseHandler(res, 200, "Expense analysis found", {
+      status: analysis.status,
+      attempts: analysis.attempts,
+      error: analysis.error,
+      queuedAt: analysis.queuedAt,
+      finishedAt: analysis.finishedAt,
+      aiScores: findExpense.aiScores,
+      ...formatReceiptCheck(findExpense),
+    });
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+/* The `exports.retryExpenseAnalysis` function queues the bill analysis of an expense again, e.g.
+after it failed. */
+exports.retryExpenseAnalysis = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Expense ID is required");
+    }
+
+    const findExpense = await Expense.findOne({ _id: id, user: req.userId });
+    if (!findExpense) {
+      return responseHandler(res, 404, "Expense not found");
+    }
+
+    if (!findExpense.image || findExpense.image.length === 0) {
+      return responseHandler(res, 400, "Expense does not have an image");
+    }
+
+    const status = findExpense.analysis && findExpense.analysis.status;
+    if (["queued", "processing"].includes(status)) {
+      return responseHandler(res, 409, `Bill analysis is already ${status}`);
+    }
+
+    await queueBillAnalysis(findExpense._id);
+    return responseHandler(res, 200, "Bill analysis queued");
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+exports.getWalletUsed = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).populate("tier");
+    if (!user) return responseHandler(res, 404, "User not found");
+    const totalAmount = user.tier.totalAmount;
+
+    const startOfMonth = moment().startOf("month");
     const endOfMonth = moment().endOf("month");
 
     const expenses = await Expense.find({
-      createdAt: { $gte: startOfMonth.toDate(), $lte: endOfMonth.toDate() },
+      date: { $gte: startOfMonth.toDate(), $lte: endOfMonth.toDate() },
       status: { $in: ["mapped", "approved"] },
       user: req.userId,
     });
@@ -997,6 +1817,26 @@ exports.getWalletUsed = async (req, res) => {
   }
 };
 
+/* The `exports.getBudget` function returns what the user has left of their tier's allowance, in
+total and per category, in the budget period of today or of the `date` given in the query. */
+exports.getBudget = async (req, res) => {
+  try {
+    const date = req.query.date ? moment(req.query.date) : moment();
+    if (!date.isValid()) {
+      return responseHandler(res, 400, "Invalid date");
+    }
+    const budget = await syncBudget(req.userId, date.toDate());
+    return responseHandler(
+      res,
+      200,
+      "Budget retrieved successfully",
+      formatBudget(budget)
+    );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
 exports.updateEvent = async (req, res) => {
   try {
     const { id } = req.params;
@@ -1038,12 +1878,22 @@ exports.getApproval = async (req, res) => {
       })
       .populate("expenses")
       .populate("approver", "name")
+      .populate("approvalSteps.user", "name")
+      .populate("approvalSteps.role", "roleName")
+      .populate("approvalSteps.actedBy", "name")
+      .populate("approvalSteps.onBehalfOf", "name")
+      .populate("onBehalfOf", "name")
       .lean();
 
     if (!fetchReport) {
       return responseHandler(res, 404, "Report not found");
     }
 
+    const access = await checkReportApprover(req.userId, fetchReport);
+    if (access.status !== 200) {
+      return responseHandler(res, access.status, access.message);
+    }
+
     const mappedData = {
       _id: fetchReport._id,
       user: fetchReport.user.name,
@@ -1055,6 +1905,7 @@ exports.getApproval = async (req, res) => {
       location: fetchReport.location,
       status: fetchReport.status,
       approver: fetchReport?.approver?.name,
+      onBehalfOf: fetchReport?.onBehalfOf?.name,
       date: moment(fetchReport.reportDate).format("MMM DD YYYY"),
       expenses: fetchReport.expenses.map((expense) => {
         return {
@@ -1066,15 +1917,23 @@ exports.getApproval = async (req, res) => {
           status: expense.status,
           category: expense.category,
           image: expense.image,
+          ...formatExpenseDecision(expense),
+          ...formatReceiptCheck(expense),
+          ...formatPolicyCheck(expense),
         };
       }),
       totalAmount: fetchReport.expenses.reduce(
         (acc, curr) => acc + curr.amount,
         0
       ),
+      approvedAmount: fetchReport.approvedAmount,
       reportDate: moment(fetchReport.reportDate).format("MMM DD YYYY"),
       createdAt: moment(fetchReport.createdAt).format("MMM DD YYYY"),
       updatedAt: moment(fetchReport.updatedAt).format("MMM DD YYYY"),
+      approvalSteps: formatApprovalSteps(fetchReport),
+      revision: fetchReport.revision,
+      changesSinceLastReview: diffSinceLastReview(fetchReport),
+      comments: await getReportComments(fetchReport._id),
     };
 
     return responseHandler(res, 200, "Report found", mappedData);
@@ -1086,11 +1945,18 @@ exports.getApproval = async (req, res) => {
 exports.updateApproval = async (req, res) => {
   try {
     const { id, action } = req.params;
-    const { expenses, reason } = req.body;
 
-    if (expenses.length === 0) {
-      return responseHandler(res, 400, "Expenses are required");
+    const updateApprovalValidator = updateApprovalSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (updateApprovalValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${updateApprovalValidator.error.message}`
+      );
     }
+    const { reason } = req.body;
 
     if (!id) {
       return responseHandler(res, 400, "Approval ID is required");
@@ -1101,73 +1967,71 @@ exports.updateApproval = async (req, res) => {
       return responseHandler(res, 404, "Approval not found");
     }
 
+    const access = await checkReportApprover(req.userId, findApproval, {
+      acting: true,
+    });
+    if (access.status !== 200) {
+      return responseHandler(res, access.status, access.message);
+    }
+
     if (findApproval.status !== "pending") {
       return responseHandler(res, 404, "Approval has already done");
     }
 
-    const isApproveAction = action === "approve";
-    const newStatus = isApproveAction ? "approved" : "rejected";
+    const review = await resolveDecisions(findApproval, action, req.body);
+    if (review.status !== 200) {
+      return responseHandler(res, review.status, review.message);
+    }
+    const newStatus = REVIEW_STATUSES[review.outcome];
 
-    if (isApproveAction) {
-      const findApprovalExpensesIds = findApproval.expenses.map((expense) =>
-        expense._id.toString()
+    const isFinalDecision = await applyStepDecision(findApproval, {
+      approved: review.outcome === "approved",
+      actedBy: req.userId,
+      actedByModel: "User",
+      onBehalfOf: access.onBehalfOf,
+      reason,
+      decisions: review.lines,
+    });
+    if (!isFinalDecision) {
+      return responseHandler(
+        res,
+        200,
+        "Approval step approved, forwarded to the next approver"
       );
-
-      if (
-        findApprovalExpensesIds.length !== expenses.length ||
-        !expenses.every((expenseId) =>
-          findApprovalExpensesIds.includes(expenseId.toString())
-        )
-      ) {
-        return responseHandler(res, 400, "Expenses do not match");
-      }
     }
 
-    const updateApproval = await Report.findByIdAndUpdate(
-      id,
-      {
-        status: newStatus,
-        approverModel: "User",
-        approver: req.userId,
-        $push: { reason: reason },
-      },
-      { new: true }
-    );
+    const actor = { id: req.userId, model: "User", role: "approver" };
+    const transition = transitionReport(findApproval, newStatus, actor, reason);
+    if (transition.status !== 200) {
+      return responseHandler(res, transition.status, transition.message);
+    }
 
-    if (!updateApproval) {
-      return responseHandler(res, 400, `Approval ${newStatus} failed`);
+    const decided = await applyDecisions(findApproval, review.lines, actor);
+    if (decided.status !== 200) {
+      return responseHandler(res, decided.status, decided.message);
     }
 
+    markRevisionReviewed(findApproval);
+    findApproval.approverModel = "User";
+    findApproval.approver = req.userId;
+    findApproval.onBehalfOf = access.onBehalfOf || null;
+    if (reason) findApproval.reason.push(reason);
+    const updateApproval = await findApproval.save();
+    await syncReportBudget(updateApproval);
+
     await Notification.create({
       content: updateApproval._id,
       user: updateApproval.user,
       status: updateApproval.status,
     });
 
-    if (isApproveAction) {
-      await Expense.updateMany(
-        { _id: { $in: expenses } },
-        { $set: { status: newStatus } },
-        { new: true }
-      );
-    } else {
-      await Expense.updateMany(
-        { _id: { $in: expenses } },
-        { $set: { status: "rejected" } },
-        { new: true }
-      );
-
-      const remainingExpenses = findApproval.expenses
-        .map((expense) => expense._id.toString())
-        .filter((id) => !expenses.includes(id));
-
-      await Expense.updateMany(
-        { _id: { $in: remainingExpenses } },
-        { $set: { status: "approved" } },
-        { new: true }
+    if (review.outcome === "info") {
+      return responseHandler(
+        res,
+        200,
+        "Report returned to the submitter for more information"
       );
     }
-
     return responseHandler(res, 200, `Approval ${newStatus} successfully`);
   } catch (error) {
     return responseHandler(res, 500, `Internal Server Error ${error.message}`);
@@ -1216,12 +2080,15 @@ exports.getFinance = async (req, res) => {
           status: expense.status,
           category: expense.category,
           image: expense.image,
+          ...formatExpenseDecision(expense),
         };
       }),
       totalAmount: fetchReport.expenses.reduce(
         (acc, curr) => acc + curr.amount,
         0
       ),
+      approvedAmount: fetchReport.approvedAmount,
+      reimbursedAmount: fetchReport.reimbursedAmount,
       reportDate: moment(fetchReport.reportDate).format("MMM DD YYYY"),
       createdAt: moment(fetchReport.createdAt).format("MMM DD YYYY"),
       updatedAt: moment(fetchReport.updatedAt).format("MMM DD YYYY"),
@@ -1245,6 +2112,31 @@ exports.reimburseReport = async (req, res) => {
 
     if (!fetchReport) return responseHandler(res, 400, "Report not found");
 
+    //* Only the report's own approvers, or their delegates, can mark it as paid out
+    const access = await checkReportApprover(req.userId, fetchReport);
+    if (access.status !== 200) {
+      return responseHandler(res, access.status, access.message);
+    }
+
+    const transition = transitionReport(fetchReport, "reimbursed", {
+      id: req.userId,
+      model: "User",
+      role: "approver",
+    });
+    if (transition.status !== 200) {
+      return responseHandler(res, transition.status, transition.message);
+    }
+
+    //* Only the approved part of the report is paid out
+    const payableAmount = await getPayableAmount(fetchReport);
+    if (amount > payableAmount) {
+      return responseHandler(
+        res,
+        400,
+        `The amount can't be more than the approved amount of ${payableAmount}`
+      );
+    }
+
     if (amount > 0) {
       await Deduction.create({
         user: fetchReport.user,
@@ -1256,16 +2148,12 @@ exports.reimburseReport = async (req, res) => {
       });
     }
 
-    const reimburse = await Report.findByIdAndUpdate(
-      id,
-      {
-        status: "reimbursed",
-        descriptionFinance,
-        reimburserModel: "Admin",
-        reimburser: req.userId,
-      },
-      { new: true }
-    );
+    fetchReport.descriptionFinance = descriptionFinance;
+    fetchReport.reimbursedAmount = payableAmount;
+    fetchReport.reimburserModel = "User";
+    fetchReport.reimburser = req.userId;
+    const reimburse = await fetchReport.save();
+    await syncReportBudget(reimburse);
 
     await Notification.create({
       content: reimburse._id,
@@ -1436,14 +2324,18 @@ exports.getWallet = async (req, res) => {
   }
 };
 
+/* The `exports.getPolicy` function returns the policy version that applies to the user: the one for
+their tier, location and user type in force today, or on the `date` given in the query. */
 exports.getPolicy = async (req, res) => {
   try {
+    const date = req.query.date ? moment(req.query.date) : moment();
+    if (!date.isValid()) {
+      return responseHandler(res, 400, "Invalid date");
+    }
     const getTier = await User.findById(req.userId);
-    const getPolicy = await Policy.findOne({ tier: getTier.tier }).populate(
-      "tier",
-      "title"
-    );
+    const getPolicy = await findPolicy(getTier, date.toDate());
     if (!getPolicy) return responseHandler(res, 400, "Policy not found");
+    await getPolicy.populate("tier", "title");
     const mappedData = {
       ...getPolicy._doc,
       tier: getPolicy.tier.title,
@@ -1482,6 +2374,103 @@ exports.saveLocation = async (req, res) => {
   }
 };
 
+/* The `exports.createDelegation` function lets an approver hand their approvals to another approver
+while they are away. The delegate sees and decides the approver's reports between `startDate` and
+`endDate`, and every decision records the approver it was taken on behalf of. */
+exports.createDelegation = async (req, res) => {
+  try {
+    const delegationValidator = createDelegationSchema.validate(req.body, {
+      abortEarly: true,
+    });
+    if (delegationValidator.error) {
+      return responseHandler(
+        res,
+        400,
+        `Invalid input: ${delegationValidator.error}`
+      );
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user || user.userType !== "approver") {
+      return responseHandler(
+        res,
+        403,
+        "You don't have permission to perform this action"
+      );
+    }
+
+    const { delegate, reason } = req.body;
+    if (delegate === req.userId) {
+      return responseHandler(res, 400, "You can't delegate to yourself");
+    }
+
+    const delegateUser = await User.findById(delegate);
+    if (
+      !delegateUser ||
+      delegateUser.isDeleted ||
+      delegateUser.userType !== "approver"
+    ) {
+      return responseHandler(res, 400, "Delegate must be an active approver");
+    }
+
+    const startDate = moment(req.body.startDate).startOf("day").toDate();
+    const endDate = moment(req.body.endDate).endOf("day").toDate();
+    if (endDate < startDate) {
+      return responseHandler(res, 400, "End date must be after start date");
+    }
+
+    if (await hasOverlappingDelegation(req.userId, startDate, endDate)) {
+      return responseHandler(
+        res,
+        400,
+        "You already have a delegation during these dates"
+      );
+    }
+
+    const delegation = await Delegation.create({
+      approver: req.userId,
+      delegate,
+      startDate,
+      endDate,
+      reason,
+    });
+    if (!delegation) {
+      return responseHandler(res, 400, "Delegation creation failed");
+    }
+
+    return responseHandler(
+      res,
+      200,
+      "Delegation created successfully",
+      delegation
+    );
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
+exports.cancelDelegation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id) {
+      return responseHandler(res, 400, "Delegation ID is required");
+    }
+
+    const delegation = await Delegation.findOneAndUpdate(
+      { _id: id, approver: req.userId, status: true },
+      { status: false },
+      { new: true }
+    );
+    if (!delegation) {
+      return responseHandler(res, 404, "Delegation not found");
+    }
+
+    return responseHandler(res, 200, "Delegation cancelled successfully");
+  } catch (error) {
+    return responseHandler(res, 500, `Internal Server Error ${error.message}`);
+  }
+};
+
 // exports.createtransaction = async (req, res) => {
 //   try {
 //     const transactionData = req.body;
@@ -0,0 +1,154 @@
+const moment = require("moment-timezone");
+const ApprovalChain = require("../models/approvalChainModel");
+const Admin = require("../models/adminModel");
+const Notification = require("../models/notificationModel");
+const sendMail = require("../utils/sendMail");
+const { getActiveDelegate } = require("./delegation");
+
+const matchesStep = (step, { level, amount, categories }) => {
+  if (step.minLevel != null && !(level >= step.minLevel)) return false;
+  if (step.maxLevel != null && !(level <= step.maxLevel)) return false;
+  if (step.minAmount != null && amount < step.minAmount) return false;
+  if (
+    step.categories &&
+    step.categories.length > 0 &&
+    !categories.some((category) => step.categories.includes(category))
+  ) {
+    return false;
+  }
+  return true;
+};
+
+/* Works out the approval steps of a new report from the active approval chain. A step is left out
+when its conditions don't match the submitter's `Tier.level`, the report total or the categories of
+its expenses. Without an active chain, or when no step applies, the report only goes to the
+submitter's approver, as it did before chains existed. */
+exports.resolveApprovalSteps = async (user, expenses) => {
+  const context = {
+    level: user.tier && user.tier.level,
+    amount: expenses.reduce((acc, curr) => acc + (curr.amount || 0), 0),
+    categories: expenses.map((expense) =>
+      (expense.category || "").toLowerCase()
+    ),
+  };
+
+  const chain = await ApprovalChain.findOne({ status: true })
+    .sort({ updatedAt: -1 })
+    .lean();
+  const steps = chain
+    ? chain.steps.filter((step) => matchesStep(step, context))
+    : [];
+  if (steps.length === 0) {
+    steps.push({ title: "Approver", approverType: "approver" });
+  }
+
+  return steps.map((step) => ({
+    title: step.title,
+    approverType: step.approverType,
+    user: step.approverType === "approver" ? user.approver : step.user,
+    role: step.approverType === "role" ? step.role : undefined,
+  }));
+};
+
+exports.getCurrentStep = (report) => {
+  return report.approvalSteps && report.approvalSteps[report.currentStep || 0];
+};
+
+/* Lets whoever has to act on the current step know that the report is waiting for them. Approvers
+get an in-app notification, and so does their delegate while they are away. Admins of a role step
+get an email. */
+exports.notifyCurrentStep = async (report) => {
+  const step = exports.getCurrentStep(report);
+  if (!step) return;
+
+  if (step.approverType === "role") {
+    const admins = await Admin.find({
+      role: step.role,
+      isDeleted: false,
+    }).select("email");
+    await Promise.all(
+      admins.map((admin) =>
+        sendMail(admin.email, null, {
+          subject: `Report ${report.reportId} is awaiting your approval`,
+          text: `The report "${report.title}" (${report.reportId}) has reached the "${step.title}" step and is waiting for your approval on Xpensea.`,
+        })
+      )
+    );
+  } else if (step.user) {
+    await Notification.create({
+      content: report._id,
+      user: step.user,
+      status: report.status,
+    });
+    const delegate = await getActiveDelegate(step.user);
+    if (delegate) {
+      await Notification.create({
+        content: report._id,
+        user: delegate,
+        status: report.status,
+      });
+    }
+  }
+};
+
+/* Records an approve or reject decision, and the line decisions behind it, on the current step of
+`report`. A rejection, or the approval of the last step, completes the chain and true is returned so
+the caller can finalise the report. Otherwise the report moves on to the next step, is saved and the
+next approver notified. */
+exports.applyStepDecision = async (
+  report,
+  { approved, actedBy, actedByModel, onBehalfOf, reason, decisions }
+) => {
+  const step = exports.getCurrentStep(report);
+  if (!step) return true;
+
+  step.status = approved ? "approved" : "rejected";
+  step.actedBy = actedBy;
+  step.actedByModel = actedByModel;
+  step.onBehalfOf = onBehalfOf;
+  step.actedAt = new Date();
+  step.reason = reason;
+  step.decisions = decisions;
+
+  if (!approved || report.currentStep >= report.approvalSteps.length - 1) {
+    return true;
+  }
+
+  report.currentStep += 1;
+  report.currentStepAt = new Date();
+  if (reason) report.reason.push(reason);
+  await report.save();
+  await exports.notifyCurrentStep(report);
+  return false;
+};
+
+//* Shapes populated approval steps for the approval detail views
+exports.formatApprovalSteps = (report) => {
+  return (report.approvalSteps || []).map((step, index) => ({
+    _id: step._id,
+    title: step.title,
+    approverType: step.approverType,
+    approver: step.user ? step.user.name : step.role && step.role.roleName,
+    status: step.status,
+    isCurrent: report.status === "pending" && index === report.currentStep,
+    actedBy: step.actedBy && step.actedBy.name,
+    onBehalfOf: step.onBehalfOf && step.onBehalfOf.name,
+    actedAt: step.actedAt && moment(step.actedAt).format("MMM DD YYYY"),
+    reason: step.reason,
+    decisions: step.decisions,
+  }));
+};
+
+//* Shapes the populated SLA reminder and escalation history of a report
+exports.formatEscalations = (report) => {
+  const name = (user, role) => (user ? user.name : role && role.roleName);
+  return (report.escalations || []).map((entry) => ({
+    _id: entry._id,
+    action: entry.action,
+    step: entry.step,
+    from: name(entry.from, entry.fromRole),
+    to: name(entry.to, entry.toRole),
+    note: entry.note,
+    createdAt: moment(entry.createdAt).format("MMM DD YYYY hh:mm A"),
+  }));
+};
@@ -0,0 +1,67 @@
+const User = require("../models/userModel");
+const { getCurrentStep } = require("./approvalChain");
+const { getDelegatorIds } = require("./delegation");
+
+//* Compares ids that may be plain ids or populated documents
+const isSameId = (a, b) => {
+  return !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+};
+
+/* Decides whether the user `userId` may review `report` on the user-side approval endpoints.
+ * - The caller has to be an active `approver`.
+ * - Nobody reviews their own report, whoever is configured as their approver.
+ * - On a report with approval steps the caller has to be the approver of one of them, and to act
+ *   (`acting`) they have to be the approver of the current step.
+ * - On older reports without steps the caller has to be the report owner's `User.approver`.
+ * An approver who delegated to the caller for today counts as the caller. When the caller only
+ * qualifies through such a delegation, that approver is returned as `onBehalfOf`.
+ * Returns `{ status, message, onBehalfOf }`, with status 200 when access is granted. */
+exports.checkReportApprover = async (
+  userId,
+  report,
+  { acting = false } = {}
+) => {
+  const caller = await User.findById(userId).select("userType isDeleted");
+  if (!caller || caller.isDeleted || caller.userType !== "approver") {
+    return {
+      status: 403,
+      message: "You don't have permission to perform this action",
+    };
+  }
+
+  const ownerId = report.user && (report.user._id || report.user);
+  if (isSameId(ownerId, userId)) {
+    return { status: 403, message: "You can't review your own report" };
+  }
+
+  let approverIds;
+  let message;
+  if (report.approvalSteps && report.approvalSteps.length > 0) {
+    if (acting) {
+      const step = getCurrentStep(report);
+      approverIds = step ? [step.user] : [];
+      message = "This report is not awaiting your approval";
+    } else {
+      approverIds = report.approvalSteps.map((step) => step.user);
+      message = "You are not an approver of this report";
+    }
+  } else {
+    const owner = await User.findById(ownerId).select("approver");
+    approverIds = owner ? [owner.approver] : [];
+    message = "You are not the approver of this report";
+  }
+
+  if (approverIds.some((approverId) => isSameId(approverId, userId))) {
+    return { status: 200, message: "Access granted" };
+  }
+
+  const delegatorIds = await getDelegatorIds(userId);
+  const onBehalfOf = delegatorIds.find((delegatorId) =>
+    approverIds.some((approverId) => isSameId(approverId, delegatorId))
+  );
+  if (!onBehalfOf) {
+    return { status: 403, message };
+  }
+
+  return { status: 200, message: "Access granted", onBehalfOf };
+};
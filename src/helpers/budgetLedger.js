@@ -0,0 +1,212 @@
+const moment = require("moment-timezone");
+const Budget = require("../models/budgetModel");
+const Expense = require("../models/expenseModel");
+const Report = require("../models/reportModel");
+const User = require("../models/userModel");
+
+//* Length of a budget period, `month`, `quarter` or `year`
+const BUDGET_PERIOD = process.env.BUDGET_PERIOD || "month";
+
+const PERIOD_FORMATS = {
+  month: "YYYY-MM",
+  quarter: "YYYY-[Q]Q",
+  year: "YYYY",
+};
+
+//* Reports taking from the budget, and the amount their expenses count as
+const REPORT_BUCKETS = {
+  pending: "committed",
+  approved: "approved",
+  accepted: "approved",
+  reimbursed: "reimbursed",
+};
+
+const BUCKETS = ["committed", "approved", "reimbursed"];
+
+//* The budget period `date` falls in
+exports.getPeriod = (date) => {
+  const start = moment(date).startOf(BUDGET_PERIOD);
+  return {
+    period: start.format(PERIOD_FORMATS[BUDGET_PERIOD]),
+    periodStart: start.toDate(),
+    periodEnd: moment(date).endOf(BUDGET_PERIOD).toDate(),
+  };
+};
+
+/* What an expense of a report in `bucket` takes from the budget: the claimed amount while under
+review, and what was approved of it once decided. Expenses approved before line decisions count in
+full. */
+const getLedgerAmount = (expense, bucket) => {
+  if (bucket === "committed") return expense.amount || 0;
+  if (expense.status === "rejected") return 0;
+  return expense.approvedAmount != null
+    ? expense.approvedAmount
+    : expense.amount || 0;
+};
+
+//* What amounts taken from the budget add up to: committed, approved and reimbursed
+exports.getUsed = (amounts) =>
+  BUCKETS.reduce((acc, bucket) => acc + (amounts[bucket] || 0), 0);
+
+/* Sums what the expenses of `reports`, populated, take from the budget, in total and per lowercased
+category. Reports that don't take from the budget are left out, and an expense is counted once. */
+exports.sumUsage = (reports) => {
+  const totals = { committed: 0, approved: 0, reimbursed: 0 };
+  const categories = new Map();
+  const counted = new Set();
+  for (const report of reports) {
+    const bucket = REPORT_BUCKETS[report.status];
+    if (!bucket) continue;
+    for (const expense of report.expenses) {
+      if (counted.has(String(expense._id))) continue;
+      counted.add(String(expense._id));
+
+      const amount = getLedgerAmount(expense, bucket);
+      const title = (expense.category || "").toLowerCase();
+      if (!categories.has(title)) {
+        categories.set(title, { committed: 0, approved: 0, reimbursed: 0 });
+      }
+      totals[bucket] += amount;
+      categories.get(title)[bucket] += amount;
+    }
+  }
+  return { totals, categories };
+};
+
+//* What the expenses of the user `userId` dated between `from` and `to` take from the budget, see `sumUsage`
+exports.getUsage = async (userId, from, to) => {
+  const expenses = await Expense.find({
+    user: userId,
+    date: { $gte: from, $lte: to },
+  })
+    .select("amount approvedAmount category status")
+    .lean();
+  const expensesById = new Map(
+    expenses.map((expense) => [String(expense._id), expense])
+  );
+  const reports = await Report.find({
+    user: userId,
+    status: { $in: Object.keys(REPORT_BUCKETS) },
+    expenses: { $in: expenses.map((expense) => expense._id) },
+  })
+    .select("status expenses")
+    .lean();
+
+  return exports.sumUsage(
+    reports.map((report) => ({
+      status: report.status,
+      //* Expenses of the report dated outside the range are left out
+      expenses: report.expenses
+        .map((expenseId) => expensesById.get(String(expenseId)))
+        .filter(Boolean),
+    }))
+  );
+};
+
+/* Works out the budget of the user `userId` for the period `date` falls in from their reports and
+stores it. The ledger can always be rebuilt this way, so it is brought up to date after every
+report transition rather than adjusted. Returns the budget. */
+exports.syncBudget = async (userId, date) => {
+  const { period, periodStart, periodEnd } = exports.getPeriod(date);
+  const user = await User.findById(userId).populate("tier");
+  const usage = await exports.getUsage(userId, periodStart, periodEnd);
+
+  const tier = user && user.tier;
+  const categories = ((tier && tier.categories) || []).map((category) => ({
+    title: category.title,
+    //* Other limit types are per report, event, expense, night or day, not per period
+    limit:
+      category.limitType === "month" && BUDGET_PERIOD === "month"
+        ? category.maxAmount
+        : undefined,
+    committed: 0,
+    approved: 0,
+    reimbursed: 0,
+    ...usage.categories.get(category.title.toLowerCase()),
+  }));
+  for (const [title, amounts] of usage.categories) {
+    if (
+      !categories.some((category) => category.title.toLowerCase() === title)
+    ) {
+      categories.push({ title, ...amounts });
+    }
+  }
+
+  return Budget.findOneAndUpdate(
+    { user: userId, period },
+    {
+      periodStart,
+      periodEnd,
+      tier: tier && tier._id,
+      limit: tier && tier.totalAmount,
+      ...usage.totals,
+      categories,
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+//* Brings the budgets of every period the expenses of `report` fall in up to date
+exports.syncReportBudget = async (report) => {
+  const expenses = await Expense.find({ _id: { $in: report.expenses } })
+    .select("date")
+    .lean();
+  const dates = new Map();
+  for (const expense of expenses.filter((item) => item.date)) {
+    dates.set(exports.getPeriod(expense.date).period, expense.date);
+  }
+  for (const date of dates.values()) {
+    await exports.syncBudget(report.user._id || report.user, date);
+  }
+};
+
+/* Checks whether reporting `expenses` keeps `user` within their tier's allowance in every period
+the expenses fall in. Returns `{ status, message }`, with status 200 when it does. */
+exports.checkAllowance = async (user, expenses) => {
+  const periods = new Map();
+  for (const expense of expenses) {
+    const date = expense.date || new Date();
+    const { period } = exports.getPeriod(date);
+    const item = periods.get(period) || { date, amount: 0 };
+    item.amount += expense.amount || 0;
+    periods.set(period, item);
+  }
+
+  for (const [period, { date, amount }] of periods) {
+    const budget = await exports.syncBudget(user._id, date);
+    if (budget.limit == null) continue;
+    const remaining = budget.limit - exports.getUsed(budget);
+    if (amount > remaining) {
+      return {
+        status: 400,
+        message: `The expenses of ${period} exceed your tier limit of ${budget.limit}, ${Math.max(remaining, 0)} is left`,
+      };
+    }
+  }
+  return { status: 200, message: "Within the allowance" };
+};
+
+//* Shapes a budget for the allowance views, with what was used and what is left of each limit
+exports.formatBudget = (budget) => {
+  const withRemaining = (amounts, limit) => {
+    const used = exports.getUsed(amounts);
+    return {
+      limit,
+      committed: amounts.committed,
+      approved: amounts.approved,
+      reimbursed: amounts.reimbursed,
+      used,
+      remaining: limit != null ? limit - used : undefined,
+    };
+  };
+  return {
+    period: budget.period,
+    periodStart: moment(budget.periodStart).format("MMM DD YYYY"),
+    periodEnd: moment(budget.periodEnd).format("MMM DD YYYY"),
+    ...withRemaining(budget, budget.limit),
+    categories: budget.categories.map((category) => ({
+      title: category.title,
+      ...withRemaining(category, category.limit),
+    })),
+  };
+};
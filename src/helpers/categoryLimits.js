@@ -0,0 +1,184 @@
+const moment = require("moment-timezone");
+const Report = require("../models/reportModel");
+const { getUsage, getUsed, sumUsage } = require("./budgetLedger");
+
+//* Locations the metro multiplier of a category applies to, matched as words of the location
+const METRO_LOCATIONS = (
+  process.env.METRO_LOCATIONS ||
+  "mumbai,delhi,kolkata,chennai,bengaluru,bangalore,hyderabad,pune,ahmedabad"
+)
+  .split(",")
+  .map((location) => location.trim().toLowerCase())
+  .filter(Boolean);
+
+//* How the expenses of a category are grouped for each limit type, a group shares one limit
+const LIMIT_GROUPS = {
+  report: () => "report",
+  event: () => "event",
+  expense: (expense) => String(expense._id),
+  night: (expense) => String(expense._id),
+  day: (expense) => moment(expense.date).format("YYYY-MM-DD"),
+  month: (expense) => moment(expense.date).format("YYYY-MM"),
+};
+
+const LIMIT_MESSAGES = {
+  report: (title) =>
+    `Total amount for category ${title} exceeds the maximum allowed.`,
+  event: (title, limit) =>
+    `Total amount for category ${title} exceeds its limit of ${limit} per event.`,
+  expense: (title, limit, [expense]) =>
+    `${expense.title} exceeds the ${title} limit of ${limit} per expense.`,
+  night: (title, limit, [expense]) =>
+    `${expense.title} exceeds the ${title} limit of ${limit} for ${expense.nights || 1} night(s).`,
+  day: (title, limit, [expense]) =>
+    `Total amount for category ${title} exceeds its limit of ${limit} per day on ${moment(expense.date).format("MMM DD YYYY")}.`,
+  month: (title, limit, [expense]) =>
+    `Total amount for category ${title} exceeds its limit of ${limit} per month in ${moment(expense.date).format("MMM YYYY")}.`,
+};
+
+const usageKey = (title, limitType, group) =>
+  `${title.toLowerCase()}|${limitType}|${group}`;
+
+//* Whether `location` is one of the METRO_LOCATIONS
+exports.isMetro = (location) => {
+  const words = ` ${String(location || "")
+    .toLowerCase()
+    .replace(/[^a-z]+/g, " ")} `;
+  return METRO_LOCATIONS.some((metro) => words.includes(` ${metro} `));
+};
+
+/* The limit of a tier `category` in `location`: its `maxAmount` times the metro or non-metro
+multiplier. Per-night limits are per night of the stay. */
+exports.getCategoryLimit = (category, location, nights = 1) => {
+  const multipliers = category.multipliers || {};
+  const multiplier = exports.isMetro(location)
+    ? multipliers.metro
+    : multipliers.nonMetro;
+  return category.maxAmount * (multiplier != null ? multiplier : 1) * nights;
+};
+
+/* Checks a report's `expenses` against the `categories` of the submitter's tier: every category has
+to be one of the tier, enabled, and within its limit. The expenses of a category are summed per
+report, day, month or event, or checked one by one, by the category's `limitType`. `usage` holds
+what earlier reports took from the day, month and event limits, see `getCategoryUsage`. Expenses are
+limited by their own location, else `location`, and a group gets the metro limit when any of its
+expenses is in a metro. Returns the violations, which always block. */
+exports.checkTierCategories = (
+  categories,
+  expenses,
+  { location, usage = {} } = {}
+) => {
+  const expensesByCategory = new Map();
+  for (const expense of expenses) {
+    const items = expensesByCategory.get(expense.category) || [];
+    items.push(expense);
+    expensesByCategory.set(expense.category, items);
+  }
+
+  const violations = [];
+  const block = (message) =>
+    violations.push({ rule: "tierCategory", action: "block", message });
+  for (const [title, items] of expensesByCategory) {
+    const tierCategory = categories.find(
+      (cat) => cat.title.toLowerCase() === title.toLowerCase()
+    );
+    if (!tierCategory) {
+      block(`Category ${title} not found.`);
+      continue;
+    }
+    if (tierCategory.status === false) {
+      block(`Category ${title} is disabled.`);
+      continue;
+    }
+
+    const limitType = tierCategory.limitType || "report";
+    const groups = new Map();
+    for (const expense of items) {
+      const group = LIMIT_GROUPS[limitType](expense);
+      groups.set(group, [...(groups.get(group) || []), expense]);
+    }
+    for (const [group, groupExpenses] of groups) {
+      const amount = groupExpenses.reduce(
+        (acc, expense) => acc + expense.amount,
+        usage[usageKey(title, limitType, group)] || 0
+      );
+      const limit = Math.max(
+        ...groupExpenses.map((expense) =>
+          exports.getCategoryLimit(
+            tierCategory,
+            expense.location || location,
+            limitType === "night" ? expense.nights || 1 : 1
+          )
+        )
+      );
+      if (amount > limit) {
+        block(LIMIT_MESSAGES[limitType](title, limit, groupExpenses));
+      }
+    }
+  }
+  return violations;
+};
+
+/* What the earlier reports of `user` took from the per-day, per-month and per-event limits of the
+categories of `expenses`, keyed for `checkTierCategories`. Per-event limits count the other reports
+of `event`, leaving out `report`; without an event they apply to the report alone. */
+exports.getCategoryUsage = async (user, expenses, { event, report } = {}) => {
+  const categories = user.tier.categories;
+  const usage = {};
+  const periods = new Map();
+  let eventUsage;
+
+  for (const expense of expenses) {
+    const tierCategory = categories.find(
+      (cat) =>
+        cat.title.toLowerCase() === (expense.category || "").toLowerCase()
+    );
+    if (!tierCategory) continue;
+    const title = tierCategory.title.toLowerCase();
+
+    const { limitType } = tierCategory;
+    if (["day", "month"].includes(limitType)) {
+      const group = LIMIT_GROUPS[limitType](expense);
+      const period = `${limitType}|${group}`;
+      if (!periods.has(period)) {
+        periods.set(
+          period,
+          await getUsage(
+            user._id,
+            moment(expense.date).startOf(limitType).toDate(),
+            moment(expense.date).endOf(limitType).toDate()
+          )
+        );
+      }
+      const amounts = periods.get(period).categories.get(title);
+      usage[usageKey(title, limitType, group)] = amounts ? getUsed(amounts) : 0;
+    }
+
+    if (tierCategory.limitType === "event" && event) {
+      if (!eventUsage) {
+        const filter = {
+          user: user._id,
+          event,
+          status: { $nin: ["drafted", "rejected", "info_requested"] },
+        };
+        if (report) filter._id = { $ne: report };
+        const reports = await Report.find(filter)
+          .populate("expenses", "amount approvedAmount category status")
+          .lean();
+        eventUsage = sumUsage(reports);
+      }
+      const amounts = eventUsage.categories.get(title);
+      usage[usageKey(title, "event", "event")] = amounts ? getUsed(amounts) : 0;
+    }
+  }
+  return usage;
+};
+
+//* Checks `expenses` against the category limits of `user`'s tier, with their earlier usage, see `checkTierCategories`
+exports.checkCategoryLimits = async (user, expenses, options) => {
+  const usage = await exports.getCategoryUsage(user, expenses, options);
+  return exports.checkTierCategories(user.tier.categories, expenses, {
+    location: user.location,
+    usage,
+  });
+};
@@ -1,7 +1,19 @@
+const mongoose = require("mongoose");
 const Role = require("../models/roleModel");
 
-const checkAccess = async (roleId, access) => {
-  const findRole = await Role.findById(roleId);
+/* Loads the role of the authenticated admin once per request and keeps it on `req.role`, so the
+permission middleware and the handlers share a single lookup. */
+const loadRole = async (req) => {
+  if (req.role === undefined) {
+    req.role = mongoose.isValidObjectId(req.roleId)
+      ? await Role.findById(req.roleId).lean()
+      : null;
+  }
+  return req.role;
+};
+
+const checkAccess = async (req, access) => {
+  const findRole = await loadRole(req);
   if (!findRole) {
     return false;
   }
@@ -13,4 +25,5 @@ const checkAccess = async (roleId, access) => {
   }
 };
 
-module.exports = checkAccess;
\ No newline at end of file
+module.exports = checkAccess;
+module.exports.loadRole = loadRole;
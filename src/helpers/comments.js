@@ -0,0 +1,186 @@
+const moment = require("moment-timezone");
+const Comment = require("../models/commentModel");
+const Notification = require("../models/notificationModel");
+const User = require("../models/userModel");
+const Admin = require("../models/adminModel");
+const { COMMENT_PERMISSIONS } = require("../config/permissions");
+const { checkReportApprover } = require("./approverAccess");
+const { isUserInScope } = require("./locationScope");
+
+const uniqueIds = (ids) => {
+  return [...new Set(ids.filter(Boolean).map((id) => String(id._id || id)))];
+};
+
+/* Users taking part in the review of `report`: the submitter, the approvers of its steps, or the
+submitter's approver on reports without steps, and whoever took the final decision. */
+const getParticipantIds = async (report) => {
+  const ids = [report.user, report.onBehalfOf];
+  if (report.approvalSteps && report.approvalSteps.length > 0) {
+    ids.push(...report.approvalSteps.map((step) => step.user));
+  } else {
+    const owner = await User.findById(report.user).select("approver");
+    if (owner) ids.push(owner.approver);
+  }
+  if (report.approverModel === "User") ids.push(report.approver);
+  return uniqueIds(ids);
+};
+
+//* Admins taking part in the review of `report`: whoever took the final decision, and earlier commenters
+const getAdminParticipantIds = async (report) => {
+  const ids = await Comment.find({
+    report: report._id,
+    authorModel: "Admin",
+  }).distinct("author");
+  if (report.approverModel === "Admin") ids.push(report.approver);
+  return uniqueIds(ids);
+};
+
+//* Whether the user `userId` may see `report`, as its submitter or one of its approvers
+exports.canViewReport = async (userId, report) => {
+  if (String(report.user._id || report.user) === String(userId)) return true;
+  const access = await checkReportApprover(userId, report);
+  return access.status === 200;
+};
+
+/* Whether the admin `adminId` may see `report`: their role has one of the COMMENT_PERMISSIONS and
+its location access covers the submitter. */
+exports.canAdminViewReport = async (adminId, report) => {
+  const admin = await Admin.findOne({ _id: adminId, isDeleted: false })
+    .select("role")
+    .populate("role", "permissions locationAccess")
+    .lean();
+  const role = admin && admin.role;
+  if (
+    !role ||
+    !COMMENT_PERMISSIONS.some((permission) =>
+      (role.permissions || []).includes(permission)
+    )
+  ) {
+    return false;
+  }
+  const scope =
+    role.locationAccess && role.locationAccess.length > 0
+      ? role.locationAccess
+      : null;
+  return isUserInScope(scope, report.user._id || report.user);
+};
+
+/* Adds a comment to `report`, optionally about one of its expenses or as a reply in an existing
+thread. Only people who can see the report can be mentioned, users or admins who review or pay out
+reports. The participants of the report, users and admins, are notified, mentioned ones with a
+`mention` notification and everyone else with a `comment` one. Returns `{ status, message, comment }`, with status 200 when the comment was added. */
+exports.addComment = async (
+  report,
+  { author, authorModel, text, expense, parent, mentions = [] }
+) => {
+  if (
+    expense &&
+    !report.expenses.some((item) => String(item._id || item) === expense)
+  ) {
+    return { status: 400, message: "Expense is not part of this report" };
+  }
+
+  let thread;
+  if (parent) {
+    thread = await Comment.findOne({ _id: parent, report: report._id });
+    if (!thread) {
+      return { status: 404, message: "Comment not found" };
+    }
+  }
+
+  const mentionIds = [];
+  const adminMentionIds = [];
+  for (const id of uniqueIds(mentions)) {
+    if (await exports.canViewReport(id, report)) {
+      mentionIds.push(id);
+    } else if (await exports.canAdminViewReport(id, report)) {
+      adminMentionIds.push(id);
+    } else {
+      return {
+        status: 400,
+        message:
+          "Only the submitter, approvers and reviewing admins of the report can be mentioned",
+      };
+    }
+  }
+
+  const comment = await Comment.create({
+    report: report._id,
+    expense: expense || (thread && thread.expense),
+    parent: thread && (thread.parent || thread._id),
+    author,
+    authorModel,
+    text,
+    mentions: mentionIds,
+    adminMentions: adminMentionIds,
+  });
+
+  const threadAuthor = (model) =>
+    thread && thread.authorModel === model && thread.author;
+  const notify = (ids, userModel, mentioned) =>
+    uniqueIds(ids)
+      .filter((userId) => userId !== String(author))
+      .map((userId) => ({
+        content: report._id,
+        user: userId,
+        userModel,
+        status: mentioned.includes(userId) ? "mention" : "comment",
+        comment: comment._id,
+      }));
+  await Notification.insertMany([
+    ...notify(
+      [
+        ...(await getParticipantIds(report)),
+        ...mentionIds,
+        threadAuthor("User"),
+      ],
+      "User",
+      mentionIds
+    ),
+    ...notify(
+      [
+        ...(await getAdminParticipantIds(report)),
+        ...adminMentionIds,
+        threadAuthor("Admin"),
+      ],
+      "Admin",
+      adminMentionIds
+    ),
+  ]);
+
+  return { status: 200, message: "Comment added", comment };
+};
+
+/* Loads the comments of a report as threads, oldest first, each with its replies. */
+exports.getReportComments = async (reportId) => {
+  const comments = await Comment.find({ report: reportId })
+    .sort({ createdAt: 1 })
+    .populate("author", "name")
+    .populate("mentions", "name")
+    .populate("adminMentions", "name")
+    .populate("expense", "title")
+    .lean();
+
+  const format = (comment) => ({
+    _id: comment._id,
+    author: comment.author && comment.author.name,
+    authorModel: comment.authorModel,
+    text: comment.text,
+    expense: comment.expense,
+    mentions: [...comment.mentions, ...(comment.adminMentions || [])].map(
+      (user) => user.name
+    ),
+    createdAt: moment(comment.createdAt).format("MMM DD YYYY hh:mm A"),
+  });
+
+  const threads = comments
+    .filter((comment) => !comment.parent)
+    .map((comment) => ({ ...format(comment), replies: [] }));
+  for (const comment of comments.filter((item) => item.parent)) {
+    const thread = threads.find(
+      (item) => String(item._id) === String(comment.parent)
+    );
+    if (thread) thread.replies.push(format(comment));
+  }
+  return threads;
+};
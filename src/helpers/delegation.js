@@ -0,0 +1,34 @@
+const Delegation = require("../models/delegationModel");
+
+const activeAt = (date) => ({
+  status: true,
+  startDate: { $lte: date },
+  endDate: { $gte: date },
+});
+
+/* Returns the ids of the approvers that `userId` currently stands in for. */
+exports.getDelegatorIds = async (userId, date = new Date()) => {
+  return await Delegation.find({
+    delegate: userId,
+    ...activeAt(date),
+  }).distinct("approver");
+};
+
+/* Returns the delegate currently standing in for `approverId`, or null. */
+exports.getActiveDelegate = async (approverId, date = new Date()) => {
+  const delegation = await Delegation.findOne({
+    approver: approverId,
+    ...activeAt(date),
+  }).sort({ createdAt: -1 });
+  return delegation ? delegation.delegate : null;
+};
+
+exports.hasOverlappingDelegation = async (approverId, startDate, endDate) => {
+  const overlapping = await Delegation.findOne({
+    approver: approverId,
+    status: true,
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate },
+  });
+  return !!overlapping;
+};
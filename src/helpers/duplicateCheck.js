@@ -0,0 +1,207 @@
+const Jimp = require("jimp");
+const moment = require("moment-timezone");
+const Expense = require("../models/expenseModel");
+const Report = require("../models/reportModel");
+
+//* Images whose perceptual hashes differ in at most this many of their 64 bits are taken as the same bill
+const IMAGE_HASH_DISTANCE = Number(process.env.IMAGE_HASH_DISTANCE) || 6;
+
+/* Hashes are split into one more band than the bits they may differ in, so that close hashes have
+at least one band in common */
+const IMAGE_HASH_BANDS = IMAGE_HASH_DISTANCE + 1;
+
+//* Other expenses are only compared when their dates are within this many days of the checked ones
+const DUPLICATE_LOOKBACK_DAYS =
+  Number(process.env.DUPLICATE_LOOKBACK_DAYS) || 365;
+
+//* Most other expenses compared in one check, the most recent first
+const DUPLICATE_CANDIDATE_LIMIT =
+  Number(process.env.DUPLICATE_CANDIDATE_LIMIT) || 500;
+
+/* Perceptual hash of the image at `url` as 16 hex digits. Resizing, recompressing or a different
+scan of the same bill give the same or a close hash. Returns undefined for files that aren't
+images, such as PDFs. */
+exports.hashImage = async (url) => {
+  let image;
+  try {
+    image = await Jimp.read(url);
+  } catch (error) {
+    console.log(`Could not hash image ${url}: ${error.message}`);
+    return undefined;
+  }
+  return BigInt(`0b${image.pHash()}`).toString(16).padStart(16, "0");
+};
+
+/* Bands of the image `hashes`, as `band-value` keys to store in `imageHashBands` and look up
+candidates by. Changing IMAGE_HASH_DISTANCE changes the bands, stored ones are then filled again
+with `npm run migrate:image-hash-bands`. */
+exports.getHashBands = (hashes = []) => {
+  const bands = new Set();
+  for (const hash of hashes) {
+    const bits = BigInt(`0x${hash}`);
+    for (let band = 0; band < IMAGE_HASH_BANDS; band += 1) {
+      const start = Math.floor((64 * band) / IMAGE_HASH_BANDS);
+      const end = Math.floor((64 * (band + 1)) / IMAGE_HASH_BANDS);
+      const mask = (1n << BigInt(end - start)) - 1n;
+      bands.add(`${band}-${((bits >> BigInt(start)) & mask).toString(16)}`);
+    }
+  }
+  return [...bands];
+};
+
+//* Number of bits two image hashes differ in
+const hashDistance = (first, second) => {
+  let bits = BigInt(`0x${first}`) ^ BigInt(`0x${second}`);
+  let distance = 0;
+  while (bits) {
+    distance += Number(bits & 1n);
+    bits >>= 1n;
+  }
+  return distance;
+};
+
+/* Normalized `vendor|invoice number|amount|date` key of a receipt, the same for the same bill
+however it was typed or read. The amount and date of the claim stand in for those the receipt
+analysis couldn't read. Without a vendor, amount and date there is too little to go on and no
+fingerprint is given. */
+exports.getReceiptFingerprint = (expense) => {
+  const receipt = expense.receipt || {};
+  const vendor = (receipt.vendor || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  const invoiceNumber = (receipt.invoiceNumber || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .replace(/^0+/, "");
+  const amount = receipt.total != null ? receipt.total : expense.amount;
+  const date = receipt.date || expense.date;
+  if (!vendor || amount == null || !date) return undefined;
+
+  return [
+    vendor,
+    invoiceNumber,
+    Number(amount).toFixed(2),
+    moment(date).format("YYYY-MM-DD"),
+  ].join("|");
+};
+
+/* Finds other expenses, of any employee and including the other `expenses`, that look like the
+same bill as one of `expenses`: an image with a close perceptual hash, or a receipt with the same
+fingerprint. Only expenses sharing a hash band or the fingerprint are loaded, at most
+DUPLICATE_CANDIDATE_LIMIT of them. Expenses are checked with what their bill analysis stored, so
+expenses still being analysed can't be matched yet. Returns one entry per expense and candidate, with the report the
+candidate is claimed in. */
+exports.findDuplicates = async (expenses) => {
+  const checked = expenses.filter(
+    (expense) =>
+      (expense.imageHashes && expense.imageHashes.length > 0) ||
+      expense.fingerprint
+  );
+  if (checked.length === 0) return [];
+
+  const dates = checked.map((expense) =>
+    moment(expense.date || expense.createdAt)
+  );
+  const candidates = await Expense.find({
+    date: {
+      $gte: moment
+        .min(dates)
+        .clone()
+        .subtract(DUPLICATE_LOOKBACK_DAYS, "days")
+        .toDate(),
+      $lte: moment
+        .max(dates)
+        .clone()
+        .add(DUPLICATE_LOOKBACK_DAYS, "days")
+        .toDate(),
+    },
+    $or: [
+      {
+        imageHashBands: {
+          $in: exports.getHashBands(
+            checked.flatMap((expense) => expense.imageHashes || [])
+          ),
+        },
+      },
+      {
+        fingerprint: {
+          $in: checked.map((expense) => expense.fingerprint).filter(Boolean),
+        },
+      },
+    ],
+  })
+    .select("title amount date status user imageHashes fingerprint")
+    .sort({ date: -1 })
+    .limit(DUPLICATE_CANDIDATE_LIMIT)
+    .populate("user", "name employeeId")
+    .lean();
+
+  const duplicates = [];
+  for (const expense of checked) {
+    for (const candidate of candidates) {
+      if (String(candidate._id) === String(expense._id)) continue;
+      if (
+        expense.fingerprint &&
+        expense.fingerprint === candidate.fingerprint
+      ) {
+        duplicates.push({ expense, candidate, match: "fingerprint" });
+        continue;
+      }
+      const distances = (expense.imageHashes || []).flatMap((hash) =>
+        (candidate.imageHashes || []).map((other) => hashDistance(hash, other))
+      );
+      const distance =
+        distances.length > 0 ? Math.min(...distances) : undefined;
+      if (distance !== undefined && distance <= IMAGE_HASH_DISTANCE) {
+        duplicates.push({ expense, candidate, match: "image", distance });
+      }
+    }
+  }
+  if (duplicates.length === 0) return [];
+
+  const reports = await Report.find({
+    expenses: { $in: duplicates.map((item) => item.candidate._id) },
+  })
+    .select("reportId title status expenses")
+    .lean();
+
+  return duplicates.map(({ expense, candidate, match, distance }) => {
+    const report = reports.find((item) =>
+      item.expenses.some((id) => String(id) === String(candidate._id))
+    );
+    return {
+      expense: expense._id,
+      title: expense.title,
+      match,
+      distance,
+      duplicateOf: {
+        _id: candidate._id,
+        title: candidate.title,
+        amount: candidate.amount,
+        date: candidate.date && moment(candidate.date).format("MMM DD YYYY"),
+        status: candidate.status,
+        user: candidate.user && candidate.user.name,
+        employeeId: candidate.user && candidate.user.employeeId,
+        report: report && {
+          _id: report._id,
+          reportId: report.reportId,
+          title: report.title,
+          status: report.status,
+        },
+      },
+    };
+  });
+};
+
+//* Shapes the duplicate candidates `findDuplicates` found for one expense, for the approval views
+exports.formatDuplicateFlags = (duplicates, expense) => {
+  const matches = duplicates.filter(
+    (item) => String(item.expense) === String(expense._id)
+  );
+  return {
+    possibleDuplicate: matches.length > 0,
+    duplicates: matches.map((item) => ({
+      match: item.match,
+      distance: item.distance,
+      ...item.duplicateOf,
+    })),
+  };
+};
@@ -0,0 +1,210 @@
+const Expense = require("../models/expenseModel");
+const { transitionExpenses } = require("./stateMachine");
+
+//* Expense status each line decision leads to once the review is final
+const DECISION_STATUS = {
+  approve: "approved",
+  reduce: "approved",
+  reject: "rejected",
+  info: "info_requested",
+};
+
+const isApproved = (line) => ["approve", "reduce"].includes(line.decision);
+
+//* Report status each review outcome leads to once the review is final
+exports.REVIEW_STATUSES = {
+  approved: "approved",
+  rejected: "rejected",
+  info: "info_requested",
+};
+
+//* Decisions of the last step before the current one that decided on the expenses, by expense id
+const getPreviousDecisions = (report) => {
+  const step = (report.approvalSteps || [])
+    .slice(0, report.currentStep || 0)
+    .reverse()
+    .find((item) => item.decisions && item.decisions.length > 0);
+  return new Map(
+    (step ? step.decisions : []).map((line) => [String(line.expense), line])
+  );
+};
+
+/* Works out the line decisions of a review of `report` on the approval endpoints. The `approve` and
+`reject` actions decide every expense the same way, `review` takes a decision per expense from
+`body.decisions`. Expenses an earlier step rejected stay rejected, and an expense can't be approved
+for more than an earlier step approved of it. Older clients send `body.expenses` instead: with
+`reject` the expenses to reject, the others being approved, and with `approve` every expense.
+Returns `{ status, message, lines, outcome }`, with status 200 when the decisions are complete.
+`outcome` is `approved` when anything was approved, `info` when the submitter has to answer
+questions first, and `rejected` otherwise. */
+exports.resolveDecisions = async (report, action, body) => {
+  if (!["approve", "reject", "review"].includes(action)) {
+    return { status: 400, message: "Invalid approval action" };
+  }
+  if (action === "review" && !body.decisions) {
+    return { status: 400, message: "Decisions are required" };
+  }
+
+  const previous = getPreviousDecisions(report);
+  const expenses = await Expense.find({ _id: { $in: report.expenses } })
+    .select("title amount")
+    .lean();
+
+  const carried = [];
+  const open = new Map();
+  for (const expense of expenses) {
+    const earlier = previous.get(String(expense._id));
+    if (earlier && earlier.decision === "reject") {
+      carried.push({
+        expense: earlier.expense,
+        decision: earlier.decision,
+        amount: 0,
+        reason: earlier.reason,
+      });
+    } else {
+      open.set(String(expense._id), {
+        expense,
+        ceiling: earlier ? earlier.amount : expense.amount,
+      });
+    }
+  }
+
+  const legacyExpenses =
+    body.expenses && body.expenses.length > 0
+      ? body.expenses.map(String)
+      : null;
+  if (action === "approve" && legacyExpenses) {
+    const isEveryExpense =
+      legacyExpenses.length === open.size &&
+      legacyExpenses.every((expenseId) => open.has(expenseId));
+    if (!isEveryExpense) {
+      return { status: 400, message: "Expenses do not match" };
+    }
+  }
+  const decisionFor = (expenseId) => {
+    if (action === "reject" && legacyExpenses) {
+      return legacyExpenses.includes(expenseId) ? "reject" : "approve";
+    }
+    return action;
+  };
+
+  const decisions =
+    action === "review"
+      ? body.decisions
+      : [...open.keys()].map((expenseId) => ({
+          expense: expenseId,
+          decision: decisionFor(expenseId),
+          reason: body.reason,
+        }));
+
+  const lines = [];
+  for (const decision of decisions) {
+    const item = open.get(String(decision.expense));
+    if (!item) {
+      return {
+        status: 400,
+        message: `Expense ${decision.expense} is not under review in this report`,
+      };
+    }
+    if (
+      lines.some((line) => String(line.expense) === String(decision.expense))
+    ) {
+      return {
+        status: 400,
+        message: `${item.expense.title}: Only one decision per expense is allowed`,
+      };
+    }
+    if (decision.decision === "reduce" && !(decision.amount < item.ceiling)) {
+      return {
+        status: 400,
+        message: `${item.expense.title}: The reduced amount has to be less than ${item.ceiling}`,
+      };
+    }
+
+    let amount = 0;
+    if (decision.decision === "approve") amount = item.ceiling;
+    if (decision.decision === "reduce") amount = decision.amount;
+    lines.push({
+      expense: item.expense._id,
+      decision: decision.decision,
+      amount,
+      reason: decision.reason,
+    });
+  }
+
+  if (lines.length !== open.size) {
+    return { status: 400, message: "Every expense needs a decision" };
+  }
+
+  let outcome = "rejected";
+  if (lines.some((line) => line.decision === "info")) outcome = "info";
+  else if (lines.some(isApproved)) outcome = "approved";
+
+  return {
+    status: 200,
+    message: "Decisions resolved",
+    lines: [...carried, ...lines],
+    outcome,
+  };
+};
+
+/* Moves each expense to the status its final line decision leads to, and records the decision on
+it. On an approved report the report's `approvedAmount` becomes the sum of the approved amounts.
+The report is not saved. */
+exports.applyDecisions = async (report, lines, actor) => {
+  for (const [decision, status] of Object.entries(DECISION_STATUS)) {
+    const expenseIds = lines
+      .filter((line) => line.decision === decision)
+      .map((line) => line.expense);
+    const result = await transitionExpenses(expenseIds, status, actor.role);
+    if (result.status !== 200) return result;
+  }
+
+  const decidedAt = new Date();
+  await Promise.all(
+    lines.map((line) =>
+      Expense.updateOne(
+        { _id: line.expense },
+        {
+          approvedAmount: line.amount,
+          reason: line.reason,
+          decision: {
+            decision: line.decision,
+            reason: line.reason,
+            decidedBy: actor.id,
+            decidedByModel: actor.model,
+            decidedAt,
+          },
+        }
+      )
+    )
+  );
+
+  report.approvedAmount =
+    report.status === "approved"
+      ? lines.reduce(
+          (acc, line) => acc + (isApproved(line) ? line.amount : 0),
+          0
+        )
+      : undefined;
+  return { status: 200, message: "Decisions applied" };
+};
+
+//* Shapes the decision of a lean expense for the approval and finance views
+exports.formatExpenseDecision = (expense) => {
+  return {
+    decision: expense.decision && expense.decision.decision,
+    decisionReason: expense.decision && expense.decision.reason,
+    approvedAmount: expense.approvedAmount,
+  };
+};
+
+/* The amount reimbursing `report` pays out. Reports approved before line decisions existed have no
+`approvedAmount` and pay their full total. */
+exports.getPayableAmount = async (report) => {
+  if (report.approvedAmount != null) return report.approvedAmount;
+  const expenses = await Expense.find({ _id: { $in: report.expenses } })
+    .select("amount")
+    .lean();
+  return expenses.reduce((acc, curr) => acc + (curr.amount || 0), 0);
+};
@@ -0,0 +1,135 @@
+const Job = require("../models/jobModel");
+
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const JOB_BACKOFF_SECONDS = Number(process.env.JOB_BACKOFF_SECONDS) || 30;
+const JOB_LOCK_MINUTES = Number(process.env.JOB_LOCK_MINUTES) || 10;
+
+/* Adds a job of `type` to the queue. The worker in `jobs/jobQueue.js` runs it with the handler
+registered for the type. With a `key`, e.g. the id of the expense the job is about, there is one
+open job per key: while one is queued it is returned as is, and one that is processing runs once
+more when it finishes. */
+exports.enqueueJob = async (
+  type,
+  payload,
+  { maxAttempts = JOB_MAX_ATTEMPTS, key } = {}
+) => {
+  if (key == null) {
+    return await Job.create({ type, payload, maxAttempts });
+  }
+
+  const activeKey = `${type}:${key}`;
+  await Job.updateOne({ activeKey, status: "processing" }, { rerun: true });
+  return await Job.findOneAndUpdate(
+    { activeKey },
+    { $setOnInsert: { type, payload, maxAttempts, activeKey } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/* Takes the oldest due job and marks it as processing, atomically so that concurrent workers never
+run the same job. Returns null when nothing is due. */
+exports.claimJob = async (types) => {
+  return await Job.findOneAndUpdate(
+    { type: { $in: types }, status: "queued", runAt: { $lte: new Date() } },
+    { status: "processing", lockedAt: new Date(), $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+//* Puts a job that was asked to run again while it was processing back in the queue, with fresh attempts
+const requeueRerun = async (job) => {
+  return await Job.findOneAndUpdate(
+    { _id: job._id, rerun: true },
+    {
+      status: "queued",
+      runAt: new Date(),
+      attempts: 0,
+      rerun: false,
+      $unset: { lockedAt: 1 },
+    }
+  );
+};
+
+//* Whether the job was asked to run again while processing, for handlers keeping their own status in sync
+exports.isRerunPending = async (job) =>
+  !!(await Job.exists({ _id: job._id, rerun: true }));
+
+//* Marks a job as done, or puts it back in the queue when it was asked to run again meanwhile
+exports.completeJob = async (job) => {
+  if (await requeueRerun(job)) return;
+
+  await Job.updateOne(
+    { _id: job._id },
+    {
+      status: "done",
+      finishedAt: new Date(),
+      $unset: { lockedAt: 1, activeKey: 1 },
+    }
+  );
+};
+
+//* Whether a failing job gets another attempt, for handlers keeping their own status in sync
+exports.willRetry = (job) => job.attempts < job.maxAttempts;
+
+/* Puts a failed job back in the queue with an exponential backoff, or marks it as failed for good
+once it used all its attempts. A job asked to run again meanwhile is queued right away. */
+exports.failJob = async (job, error) => {
+  if (await requeueRerun(job)) return;
+
+  const retry = exports.willRetry(job);
+  const delay = JOB_BACKOFF_SECONDS * 1000 * 2 ** (job.attempts - 1);
+  await Job.updateOne(
+    { _id: job._id },
+    {
+      status: retry ? "queued" : "failed",
+      runAt: retry ? new Date(Date.now() + delay) : job.runAt,
+      finishedAt: retry ? undefined : new Date(),
+      lastError: error.message,
+      $unset: retry ? { lockedAt: 1 } : { lockedAt: 1, activeKey: 1 },
+    }
+  );
+};
+
+/* Jobs left processing for longer than `JOB_LOCK_MINUTES`, e.g. because the server restarted
+while running them, go back in the queue. The interrupted run counts as an attempt, and jobs that
+used all their attempts are marked as failed instead, unless they were asked to run again. Returns
+how many jobs were requeued, and the jobs that failed so their handlers can record it. */
+exports.releaseStaleJobs = async () => {
+  const staleBefore = new Date(Date.now() - JOB_LOCK_MINUTES * 60 * 1000);
+  const stale = { status: "processing", lockedAt: { $lt: staleBefore } };
+  const failed = await Job.find({
+    ...stale,
+    rerun: { $ne: true },
+    $expr: { $gte: ["$attempts", "$maxAttempts"] },
+  })
+    .select("type payload")
+    .lean();
+  await Job.updateMany(
+    { _id: { $in: failed.map((job) => job._id) } },
+    {
+      status: "failed",
+      finishedAt: new Date(),
+      lastError: "Timed out",
+      $unset: { lockedAt: 1, activeKey: 1 },
+    }
+  );
+  const rerun = await Job.updateMany(
+    { ...stale, rerun: true },
+    {
+      status: "queued",
+      runAt: new Date(),
+      attempts: 0,
+      rerun: false,
+      $unset: { lockedAt: 1 },
+    }
+  );
+  const requeued = await Job.updateMany(stale, {
+    status: "queued",
+    runAt: new Date(),
+    $unset: { lockedAt: 1 },
+  });
+  return {
+    requeued: rerun.modifiedCount + requeued.modifiedCount,
+    failed,
+  };
+};
@@ -0,0 +1,73 @@
+const { ChatOpenAI, AzureChatOpenAI } = require("@langchain/openai");
+const llmStub = require("./llmStub");
+
+/* The LLM behind bill scoring, receipt extraction and image tagging, chosen with `LLM_PROVIDER`:
+ * - openai: the OpenAI API, with `OPENAI_API_KEY`
+ * - azure: Azure OpenAI, configured through the `AZURE_OPENAI_API_*` variables. The model of a
+ *   task is used as its deployment name
+ * - local: an OpenAI compatible server at `LLM_BASE_URL`, e.g. vLLM or Ollama
+ * - stub: deterministic rules in `llmStub.js`, for tests and installs without network access
+ * Without `LLM_PROVIDER` the OpenAI API is used when a key is set, the stub otherwise. */
+const LLM_PROVIDER =
+  process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : "stub");
+
+//* Model of each task, overridable per environment
+const TASK_MODELS = {
+  billScoring: process.env.LLM_BILL_MODEL || "gpt-3.5-turbo-0125",
+  receiptExtraction: process.env.LLM_BILL_MODEL || "gpt-3.5-turbo-0125",
+  imageTagging: process.env.LLM_IMAGE_MODEL || "gpt-4o",
+};
+
+const createChatModel = (model) => {
+  switch (LLM_PROVIDER) {
+    case "openai":
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error("Missing OpenAI API key, set OPENAI_API_KEY");
+      }
+      return new ChatOpenAI({
+        temperature: 0,
+        model,
+        apiKey: process.env.OPENAI_API_KEY,
+      });
+    case "azure":
+      return new AzureChatOpenAI({
+        temperature: 0,
+        azureOpenAIApiDeploymentName: model,
+      });
+    case "local":
+      if (!process.env.LLM_BASE_URL) {
+        throw new Error("Missing local LLM endpoint, set LLM_BASE_URL");
+      }
+      return new ChatOpenAI({
+        temperature: 0,
+        model: process.env.LLM_LOCAL_MODEL || model,
+        apiKey: process.env.LLM_API_KEY || "local",
+        configuration: { baseURL: process.env.LLM_BASE_URL },
+      });
+    default:
+      throw new Error(`Unknown LLM provider ${LLM_PROVIDER}`);
+  }
+};
+
+const chains = {};
+
+/* Returns a runnable that fills `prompt` with the values it is invoked with and answers with an
+object matching the zod `schema`. Chains are built on first use, so a missing configuration only
+fails the task that needs it. With the stub provider the rules of `task` answer instead. */
+exports.getStructuredChain = (task, { prompt, schema }) => {
+  if (!chains[task]) {
+    if (LLM_PROVIDER === "stub") {
+      chains[task] = {
+        invoke: async (values) => schema.parse(llmStub[task](values)),
+      };
+    } else {
+      const model = createChatModel(TASK_MODELS[task]);
+      chains[task] = prompt.pipe(
+        model.withStructuredOutput(schema, { name: "extractor" })
+      );
+    }
+  }
+  return chains[task];
+};
+
+exports.LLM_PROVIDER = LLM_PROVIDER;
@@ -0,0 +1,135 @@
+/* Deterministic stand-ins for the LLM tasks, used by the `stub` provider. They look at the same
+data the prompts are built from and always give the same answer for the same input. */
+
+const BILL_KEYWORDS = [
+  "invoice",
+  "bill",
+  "receipt",
+  "total",
+  "amount",
+  "tax",
+  "gst",
+  "date",
+  "paid",
+  "cash",
+];
+
+const clampScore = (score) => Math.max(0, Math.min(10, Math.round(score)));
+
+/* Scores a bill from its OCR text: bill keywords make it authentic, the claimed amount appearing
+on the bill makes it accurate, and filled in expense fields make it complete. Text without any
+digits is not a bill and scores 0 everywhere. */
+exports.billScoring = ({ expense = {}, ocrText = "" }) => {
+  const text = ocrText.toLowerCase();
+  if (!/\d/.test(text)) {
+    return {
+      authenticity: 0,
+      accuracy: 0,
+      compliance: 0,
+      completeness: 0,
+      relevance: 0,
+    };
+  }
+
+  const keywordHits = BILL_KEYWORDS.filter((word) => text.includes(word));
+  const amount = Number(expense.amount);
+  const amountOnBill =
+    amount > 0 &&
+    (text.includes(String(amount)) || text.includes(amount.toFixed(2)));
+  const filledFields = ["title", "amount", "date", "category", "description"]
+    .map((field) => expense[field])
+    .filter((value) => value !== undefined && value !== null && value !== "");
+  const category = (expense.category || "").toLowerCase();
+
+  return {
+    authenticity: clampScore(keywordHits.length * 2),
+    accuracy: amountOnBill ? 10 : 4,
+    compliance: category ? 7 : 3,
+    completeness: clampScore((filledFields.length / 5) * 10),
+    relevance: category && text.includes(category) ? 8 : 5,
+  };
+};
+
+//* Keywords giving away the kind of expense a receipt is for
+const CATEGORY_KEYWORDS = {
+  travel: ["taxi", "cab", "uber", "fuel", "petrol", "flight", "train"],
+  food: ["restaurant", "cafe", "food", "meal", "dine"],
+  accommodation: ["hotel", "room", "lodge", "stay"],
+};
+
+const AMOUNT = "(\\d+(?:[.,]\\d{1,2})?)";
+
+const toAmount = (value) => Number(value.replace(",", "."));
+
+//* Last amount on the last line with `label`, e.g. the grand total after a sub total
+const findAmount = (lines, label) => {
+  const line = [...lines].reverse().find((item) => label.test(item));
+  const amounts = line && line.match(new RegExp(AMOUNT, "g"));
+  return amounts ? toAmount(amounts[amounts.length - 1]) : undefined;
+};
+
+const findDate = (text) => {
+  const iso = text.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return iso[0];
+  const local = text.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+  if (!local) return undefined;
+  const [, day, month, year] = local;
+  return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+};
+
+/* Lines that are not line items although they can end in a number: totals and taxes, and labelled
+fields such as `Invoice No: 00123`, `Date 12/05/2024` or `Table: 4` */
+const NON_ITEM_LINES = [
+  /total|tax|gst|vat/i,
+  /\b(?:invoice|bill|receipt|order|txn|transaction)\s*(?:no\.?|number|id|#)/i,
+  /\b(?:date|time|phone|tel|mobile|table|cashier|server|pan|cin)\b/i,
+  /^[^:]*[a-z][^:]*:/i,
+];
+
+const isLineItem = (line) =>
+  !NON_ITEM_LINES.some((pattern) => pattern.test(line)) && !findDate(line);
+
+/* Reads a receipt from its OCR text: the first line is taken as the vendor, labelled totals, taxes
+and invoice numbers are picked up, and other lines ending in an amount become line items, leaving
+out labelled fields and dates. The category is only given when the keywords point to one of
+`categories`. */
+exports.receiptExtraction = ({ ocrText = "", categories = [] }) => {
+  const lines = ocrText
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const text = ocrText.toLowerCase();
+  const invoice = ocrText.match(
+    /(?:invoice|bill|receipt)\s*(?:no\.?|number|#)\s*[:#]?\s*([\w-]+)/i
+  );
+  const category = categories.find((title) =>
+    (CATEGORY_KEYWORDS[title.toLowerCase()] || []).some((word) =>
+      text.includes(word)
+    )
+  );
+
+  return {
+    vendor: lines[0],
+    invoiceNumber: invoice ? invoice[1] : undefined,
+    date: findDate(ocrText),
+    total: findAmount(lines, /total/i),
+    tax: findAmount(lines, /tax|gst|vat/i),
+    category,
+    lineItems: lines
+      .slice(1)
+      .filter(isLineItem)
+      .map((line) =>
+        line.match(new RegExp(`^(.*?[a-z].*?)\\s+${AMOUNT}$`, "i"))
+      )
+      .filter(Boolean)
+      .map((match) => ({
+        description: match[1],
+        amount: toAmount(match[2]),
+      })),
+  };
+};
+
+//* Without a vision model nothing is read from the image, so the upload is never rejected
+exports.imageTagging = () => {
+  return { isExpenseBill: true };
+};
@@ -0,0 +1,37 @@
+const User = require("../models/userModel");
+const checkAccess = require("./checkAccess");
+
+/* Location scoping for admins, driven by `Role.locationAccess`.
+ * - A role with an empty `locationAccess` is unrestricted and the scope is `null`.
+ * - Lists only contain records from the scoped locations.
+ * - Reading or changing a single out-of-scope record answers 404, as if it did not exist.
+ * - Creating or moving a record into an out-of-scope location answers 403.
+ * Reports, transactions and deductions are scoped by the location of the user they belong to. */
+exports.getLocationScope = async (req) => {
+  const access = await checkAccess(req, "locationAccess");
+  if (access === false) {
+    return [];
+  }
+  return access && access.length > 0 ? access : null;
+};
+
+exports.isLocationInScope = (scope, location) => {
+  return !scope || scope.includes(location);
+};
+
+/* Returns a `$in` condition on user ids for the scope, or undefined when unrestricted. */
+exports.scopedUserIds = async (scope) => {
+  if (!scope) {
+    return undefined;
+  }
+  const ids = await User.find({ location: { $in: scope } }).distinct("_id");
+  return { $in: ids };
+};
+
+exports.isUserInScope = async (scope, userId) => {
+  if (!scope) {
+    return true;
+  }
+  const user = await User.findById(userId).select("location").lean();
+  return !!user && scope.includes(user.location);
+};
@@ -0,0 +1,47 @@
+/* Builds the update that counts a failed attempt on a document. Every `maxAttempts` failures lock it
+for `lockMinutes`, and each further lockout doubles in length up to `maxLockMinutes`. It is a
+single pipeline update, so concurrent failures can't skip the lockout. `fields` names the attempt
+counter, the lock counter and the lock expiry of the document. */
+exports.failureUpdate = (
+  { attempts, lockCount, lockedUntil },
+  { maxAttempts, lockMinutes, maxLockMinutes }
+) => {
+  const isLocking = { $gte: [`$${attempts}`, maxAttempts] };
+  const minutes = {
+    $min: [
+      {
+        $multiply: [
+          lockMinutes,
+          { $pow: [2, { $ifNull: [`$${lockCount}`, 0] }] },
+        ],
+      },
+      maxLockMinutes,
+    ],
+  };
+  return [
+    {
+      $set: {
+        [attempts]: { $add: [{ $ifNull: [`$${attempts}`, 0] }, 1] },
+      },
+    },
+    {
+      $set: {
+        [lockedUntil]: {
+          $cond: [
+            isLocking,
+            { $add: ["$$NOW", { $multiply: [minutes, 60 * 1000] }] },
+            `$${lockedUntil}`,
+          ],
+        },
+        [lockCount]: {
+          $cond: [
+            isLocking,
+            { $add: [{ $ifNull: [`$${lockCount}`, 0] }, 1] },
+            `$${lockCount}`,
+          ],
+        },
+        [attempts]: { $cond: [isLocking, 0, `$${attempts}`] },
+      },
+    },
+  ];
+};
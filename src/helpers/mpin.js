@@ -0,0 +1,65 @@
+const User = require("../models/userModel");
+const { generateRefreshToken, hashToken } = require("../utils/generateToken");
+const { failureUpdate } = require("./lockout");
+
+const MPIN_MAX_ATTEMPTS = Number(process.env.MPIN_MAX_ATTEMPTS) || 5;
+const MPIN_LOCK_MINUTES = Number(process.env.MPIN_LOCK_MINUTES) || 15;
+const MPIN_MAX_LOCK_MINUTES = 24 * 60;
+const MPIN_SETUP_TTL_MINUTES = 10;
+
+exports.isMpinLocked = (user) => {
+  return !!user.mpinLockedUntil && user.mpinLockedUntil > new Date();
+};
+
+/* Counts a wrong MPIN. Every `MPIN_MAX_ATTEMPTS` failures lock the user out, and each further lockout
+doubles in length (15m, 30m, 1h, ...) up to a day. The lock count is only cleared by a successful
+login or an MPIN reset. The failure is counted and the lock set in one update, so concurrent wrong
+MPINs can't skip the lockout. */
+exports.registerMpinFailure = async (user) => {
+  return await User.findOneAndUpdate(
+    { _id: user._id },
+    failureUpdate(
+      {
+        attempts: "mpinAttempts",
+        lockCount: "mpinLockCount",
+        lockedUntil: "mpinLockedUntil",
+      },
+      {
+        maxAttempts: MPIN_MAX_ATTEMPTS,
+        lockMinutes: MPIN_LOCK_MINUTES,
+        maxLockMinutes: MPIN_MAX_LOCK_MINUTES,
+      }
+    ),
+    { new: true }
+  );
+};
+
+exports.resetMpinFailures = (user) => {
+  user.mpinAttempts = 0;
+  user.mpinLockCount = 0;
+  user.mpinLockedUntil = null;
+};
+
+/* First-time MPIN setup is only allowed with the one-time token handed out by `verifyUser`, so an
+MPIN cannot be set for an account by someone who merely knows its email. */
+exports.createMpinSetupToken = (user) => {
+  const token = generateRefreshToken();
+  user.mpinSetupTokenHash = hashToken(token);
+  user.mpinSetupExpiresAt = new Date(
+    Date.now() + MPIN_SETUP_TTL_MINUTES * 60 * 1000
+  );
+  return token;
+};
+
+exports.consumeMpinSetupToken = (user, token) => {
+  const isValid =
+    !!token &&
+    !!user.mpinSetupTokenHash &&
+    user.mpinSetupExpiresAt > new Date() &&
+    hashToken(String(token)) === user.mpinSetupTokenHash;
+  if (isValid) {
+    user.mpinSetupTokenHash = null;
+    user.mpinSetupExpiresAt = null;
+  }
+  return isValid;
+};
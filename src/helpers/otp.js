@@ -0,0 +1,131 @@
+const Otp = require("../models/otpModel");
+const { hashPassword, comparePasswords } = require("../utils/bcrypt");
+const { generateOTP } = require("../utils/generateOTP");
+
+const OTP_LENGTH = Number(process.env.OTP_LENGTH) || 4;
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_LOCK_MINUTES = Number(process.env.OTP_LOCK_MINUTES) || 30;
+const OTP_RESEND_COOLDOWN_SECONDS =
+  Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+const isLocked = (record) => {
+  return record && record.lockedUntil && record.lockedUntil > new Date();
+};
+
+/* Generates a new OTP for the user and hands it to `send` for delivery. The hashed code is only
+stored once delivery succeeded. Failed attempts carry over to the new code, so resending doesn't
+give more guesses; they are only cleared by a correct code or once a lockout has passed. Returns `{ status, message }` ready for the response handler. */
+exports.issueOtp = async (userId, purpose, send) => {
+  const record = await Otp.findOne({ user: userId, purpose });
+
+  if (isLocked(record)) {
+    return {
+      status: 429,
+      message: "Too many failed attempts, please try again later",
+    };
+  }
+
+  if (record && record.lastSentAt) {
+    const elapsed = (Date.now() - record.lastSentAt.getTime()) / 1000;
+    if (elapsed < OTP_RESEND_COOLDOWN_SECONDS) {
+      return {
+        status: 429,
+        message: `Please wait ${Math.ceil(
+          OTP_RESEND_COOLDOWN_SECONDS - elapsed
+        )} seconds before requesting another OTP`,
+      };
+    }
+  }
+
+  const otp = generateOTP(OTP_LENGTH);
+  const sent = await send(otp);
+  if (!sent) {
+    return { status: 400, message: "OTP sent failed" };
+  }
+
+  const update = {
+    codeHash: await hashPassword(otp),
+    expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000),
+    lastSentAt: new Date(),
+  };
+  //* A lockout that has passed starts the count over
+  if (record && record.lockedUntil) {
+    update.attempts = 0;
+    update.lockedUntil = null;
+  }
+  await Otp.findOneAndUpdate({ user: userId, purpose }, update, {
+    upsert: true,
+    setDefaultsOnInsert: true,
+  });
+
+  return { status: 200, message: "OTP sent successfully" };
+};
+
+/* Checks an OTP entered by the user. A correct code is consumed, a wrong one counts towards the
+attempt limit, after which the user is locked out for `OTP_LOCK_MINUTES`. The attempt is counted,
+and checked against the limit, in one update before the code is compared, so parallel guesses
+can't get past the limit. */
+exports.verifyOtp = async (userId, purpose, otp) => {
+  const record = await Otp.findOne({ user: userId, purpose });
+
+  if (isLocked(record)) {
+    return {
+      status: 429,
+      message: "Too many failed attempts, please try again later",
+    };
+  }
+
+  if (!record || !record.codeHash) {
+    return { status: 400, message: "Invalid OTP" };
+  }
+
+  if (record.expiresAt < new Date()) {
+    return { status: 400, message: "OTP has expired" };
+  }
+
+  const attempt = await Otp.findOneAndUpdate(
+    {
+      _id: record._id,
+      codeHash: { $ne: null },
+      attempts: { $lt: OTP_MAX_ATTEMPTS },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!attempt) {
+    return {
+      status: 429,
+      message: "Too many failed attempts, please try again later",
+    };
+  }
+
+  const isMatch = await comparePasswords(String(otp), attempt.codeHash);
+  if (!isMatch) {
+    if (attempt.attempts >= OTP_MAX_ATTEMPTS) {
+      await Otp.updateOne(
+        { _id: record._id },
+        {
+          codeHash: null,
+          lockedUntil: new Date(Date.now() + OTP_LOCK_MINUTES * 60 * 1000),
+        }
+      );
+      return {
+        status: 429,
+        message: "Too many failed attempts, please try again later",
+      };
+    }
+    return { status: 400, message: "Invalid OTP" };
+  }
+
+  //* Only one of parallel requests with the right code consumes it
+  const consumed = await Otp.updateOne(
+    { _id: record._id, codeHash: attempt.codeHash },
+    { codeHash: null, attempts: 0 }
+  );
+  if (consumed.modifiedCount === 0) {
+    return { status: 400, message: "Invalid OTP" };
+  }
+
+  return { status: 200, message: "OTP verified successfully" };
+};
@@ -0,0 +1,70 @@
+const { hashPassword, comparePasswords } = require("../utils/bcrypt");
+
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+const PASSWORD_REQUIRE_UPPERCASE =
+  process.env.PASSWORD_REQUIRE_UPPERCASE !== "false";
+const PASSWORD_REQUIRE_LOWERCASE =
+  process.env.PASSWORD_REQUIRE_LOWERCASE !== "false";
+const PASSWORD_REQUIRE_NUMBER = process.env.PASSWORD_REQUIRE_NUMBER !== "false";
+const PASSWORD_REQUIRE_SYMBOL = process.env.PASSWORD_REQUIRE_SYMBOL !== "false";
+//* 0 disables rotation / reuse checks
+const PASSWORD_MAX_AGE_DAYS = Number(process.env.PASSWORD_MAX_AGE_DAYS || 90);
+const PASSWORD_HISTORY = Number(process.env.PASSWORD_HISTORY || 3);
+
+/* Returns a message describing why the password does not meet the complexity rules, or null. */
+exports.validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+  }
+  if (PASSWORD_REQUIRE_UPPERCASE && !/[A-Z]/.test(password)) {
+    return "Password must contain an uppercase letter";
+  }
+  if (PASSWORD_REQUIRE_LOWERCASE && !/[a-z]/.test(password)) {
+    return "Password must contain a lowercase letter";
+  }
+  if (PASSWORD_REQUIRE_NUMBER && !/[0-9]/.test(password)) {
+    return "Password must contain a number";
+  }
+  if (PASSWORD_REQUIRE_SYMBOL && !/[^A-Za-z0-9]/.test(password)) {
+    return "Password must contain a special character";
+  }
+  return null;
+};
+
+exports.isPasswordExpired = (admin) => {
+  if (!PASSWORD_MAX_AGE_DAYS || !admin.passwordChangedAt) {
+    return false;
+  }
+  const maxAge = PASSWORD_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return Date.now() - admin.passwordChangedAt.getTime() > maxAge;
+};
+
+/* Checks the new password against the current and the last `PASSWORD_HISTORY` passwords. Expects
+the admin to be loaded with `+passwordHistory`. */
+exports.isPasswordReused = async (admin, password) => {
+  if (!PASSWORD_HISTORY) {
+    return false;
+  }
+  const previous = [admin.password, ...(admin.passwordHistory || [])].filter(
+    Boolean
+  );
+  for (const hash of previous) {
+    if (await comparePasswords(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/* Hashes and sets a new password on the admin document, keeping the rotation history. */
+exports.applyPassword = async (admin, password) => {
+  if (admin.password && PASSWORD_HISTORY) {
+    admin.passwordHistory = [
+      admin.password,
+      ...(admin.passwordHistory || []),
+    ].slice(0, PASSWORD_HISTORY);
+  }
+  admin.password = await hashPassword(password);
+  admin.passwordChangedAt = new Date();
+  return admin;
+};
@@ -0,0 +1,173 @@
+const moment = require("moment-timezone");
+const Expense = require("../models/expenseModel");
+const { findPolicy } = require("./policyVersions");
+
+//* Bill analysis scores a policy sets a minimum for
+const SCORES = [
+  "accuracy",
+  "authenticity",
+  "compliance",
+  "relevance",
+  "completeness",
+];
+
+//* Days a weekend rule without `days` applies to, Sunday and Saturday
+const WEEKEND_DAYS = [0, 6];
+
+//* Results from best to worst, an expense gets the worst of its violations
+const RESULTS = ["pass", "warn", "block"];
+
+const normalize = (text) =>
+  String(text || "")
+    .trim()
+    .toLowerCase();
+
+const sameText = (first, second) => normalize(first) === normalize(second);
+
+/* Checks of each rule type. A check returns the message of the violation when `expense` breaks
+`rule`, and nothing when it doesn't. */
+const RULE_CHECKS = {
+  categoryCap: (rule, expense) => {
+    if (
+      sameText(rule.category, expense.category) &&
+      expense.amount > rule.maxAmount
+    ) {
+      return `${expense.category} expenses are capped at ${rule.maxAmount}`;
+    }
+  },
+  weekend: (rule, expense) => {
+    const days = rule.days && rule.days.length > 0 ? rule.days : WEEKEND_DAYS;
+    if (expense.date && days.includes(moment(expense.date).day())) {
+      return `Expenses on a ${moment(expense.date).format("dddd")} are not allowed`;
+    }
+  },
+  holiday: (rule, expense) => {
+    if (
+      expense.date &&
+      (rule.dates || []).some((date) =>
+        moment(date).isSame(expense.date, "day")
+      )
+    ) {
+      return `${moment(expense.date).format("MMM DD YYYY")} is a holiday`;
+    }
+  },
+  receiptRequired: (rule, expense) => {
+    if (
+      expense.amount > rule.amount &&
+      !(expense.image && expense.image.length > 0)
+    ) {
+      return `A bill is required for expenses above ${rule.amount}`;
+    }
+  },
+  allowedLocations: (rule, expense) => {
+    const locations = rule.locations || [];
+    if (
+      locations.length > 0 &&
+      !locations.some((location) => sameText(location, expense.location))
+    ) {
+      return `${expense.location || "An expense without a location"} is not one of the allowed locations`;
+    }
+  },
+};
+
+/* Checks `expense` against the score thresholds and rules of `policy`. Scores are only compared
+once the bill analysis has given them, expenses sent for approval before that are checked again when
+it finishes. Returns `{ result, violations }`, where `result` is `pass`
+without violations and otherwise the strictest action among them. */
+exports.evaluatePolicy = (policy, expense) => {
+  const violations = [];
+
+  for (const score of SCORES) {
+    const value = expense.aiScores && expense.aiScores[score];
+    if (value != null && policy[score] != null && value < policy[score]) {
+      violations.push({
+        rule: score,
+        action: policy.scoreAction || "warn",
+        message: `The ${score} score ${value} is below the minimum of ${policy[score]}`,
+      });
+    }
+  }
+
+  for (const rule of policy.rules || []) {
+    const message = RULE_CHECKS[rule.type](rule, expense);
+    if (message) {
+      violations.push({ rule: rule.type, action: rule.action, message });
+    }
+  }
+
+  const result = violations.reduce(
+    (worst, violation) =>
+      RESULTS.indexOf(violation.action) > RESULTS.indexOf(worst)
+        ? violation.action
+        : worst,
+    "pass"
+  );
+  return { result, violations };
+};
+
+/* Checks the expenses `expenseIds` of `user` against the policy in force on each expense's date and
+stores the outcome on them. When `enforce` is set, as for reports sent for approval, blocked
+expenses fail the check. Returns `{ status, message, blocked }`, with status 200 when nothing is
+blocked or the check isn't enforced. */
+exports.applyPolicyChecks = async (user, expenseIds, enforce) => {
+  const expenses = await Expense.find({
+    _id: { $in: expenseIds },
+    user: user._id,
+  });
+  const checkedAt = new Date();
+  const blocked = [];
+
+  for (const expense of expenses) {
+    const policy = await findPolicy(user, expense.date || checkedAt);
+    const { result, violations } = policy
+      ? exports.evaluatePolicy(policy, expense)
+      : { result: "pass", violations: [] };
+    await Expense.updateOne(
+      { _id: expense._id },
+      {
+        policyCheck: {
+          policy: policy ? policy._id : undefined,
+          result,
+          violations,
+          checkedAt,
+        },
+      }
+    );
+    if (result === "block") {
+      blocked.push({
+        _id: expense._id,
+        title: expense.title,
+        violations: violations.filter((item) => item.action === "block"),
+      });
+    }
+  }
+
+  if (enforce && blocked.length > 0) {
+    return {
+      status: 400,
+      message: `Some expenses break the policy: ${blocked
+        .map(
+          (expense) =>
+            `${expense.title}: ${expense.violations
+              .map((item) => item.message)
+              .join(", ")}`
+        )
+        .join("; ")}`,
+      blocked,
+    };
+  }
+  return { status: 200, message: "Policy checked", blocked };
+};
+
+//* Shapes the policy check of a lean expense for the report and approval views
+exports.formatPolicyCheck = (expense) => {
+  const check = expense.policyCheck;
+  return {
+    policyResult: check && check.result,
+    policyViolations: ((check && check.violations) || []).map((violation) => ({
+      rule: violation.rule,
+      action: violation.action,
+      message: violation.message,
+    })),
+  };
+};
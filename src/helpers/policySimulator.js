@@ -0,0 +1,258 @@
+const moment = require("moment-timezone");
+const Policy = require("../models/policyModel");
+const Report = require("../models/reportModel");
+const Tier = require("../models/tierModel");
+const User = require("../models/userModel");
+const { evaluatePolicy } = require("./policyRules");
+const { checkTierCategories } = require("./categoryLimits");
+const { pickPolicy } = require("./policyVersions");
+
+//* Longest date range a simulation replays
+const SIMULATION_MAX_DAYS = Number(process.env.SIMULATION_MAX_DAYS) || 366;
+
+//* Most reports a simulation replays, the latest first
+const SIMULATION_MAX_REPORTS =
+  Number(process.env.SIMULATION_MAX_REPORTS) || 2000;
+
+//* Most reports listed as flipped or cleared, the counts and amounts still cover all of them
+const SIMULATION_LIST_LIMIT = Number(process.env.SIMULATION_LIST_LIMIT) || 50;
+
+//* Results from best to worst, a report gets the worst of its violations
+const RESULTS = ["pass", "warn", "block"];
+
+const worstResult = (violations) =>
+  violations.reduce(
+    (worst, violation) =>
+      RESULTS.indexOf(violation.action) > RESULTS.indexOf(worst)
+        ? violation.action
+        : worst,
+    "pass"
+  );
+
+const getFamily = (policy) => String(policy.family || policy._id);
+
+/* Builds the draft policy from `changes`, on top of the policy version `changes._id` when given.
+Returns `{ status, message, policy, family }`, with status 200 when the draft is a valid policy. */
+const buildDraftPolicy = async ({ _id, ...changes }) => {
+  let base = {};
+  let family;
+  if (_id) {
+    const policy = await Policy.findById(_id).lean();
+    if (!policy) return { status: 404, message: "Policy not found" };
+    const { createdAt, updatedAt, retiredAt, __v, ...fields } = policy;
+    base = fields;
+    family = getFamily(policy);
+  }
+
+  const draft = new Policy({ ...base, ...changes });
+  const error = draft.validateSync();
+  if (error) {
+    return { status: 400, message: `Invalid draft policy: ${error.message}` };
+  }
+  return { status: 200, message: "Draft policy built", policy: draft, family };
+};
+
+/* Builds the draft tier by giving the tier `_id` the draft `categories`. Returns
+`{ status, message, tier }`, with status 200 when the tier exists. */
+const buildDraftTier = async ({ _id, categories }) => {
+  const tier = await Tier.findById(_id);
+  if (!tier) return { status: 404, message: "Tier not found" };
+  tier.categories = categories;
+  return { status: 200, message: "Draft tier built", tier };
+};
+
+//* Whether the draft policy is written for `user`, by tier, location and user type
+const isDraftFor = (draft, user) =>
+  String(draft.tier) === String(user.tier) &&
+  draft.location === user.location &&
+  [user.userType, null, undefined, ""].includes(draft.userType);
+
+const formatReport = (report, user, outcome) => ({
+  _id: report._id,
+  reportId: report.reportId,
+  title: report.title,
+  user: user.name,
+  status: report.status,
+  reportDate: moment(report.reportDate).format("MMM DD YYYY"),
+  amount: outcome.amount,
+  current: outcome.current.result,
+  draft: outcome.draft.result,
+  currentViolations: outcome.current.violations,
+  draftViolations: outcome.draft.violations,
+});
+
+//* What was approved of a replayed report, reports approved before line decisions pay their total
+const approvedAmount = ({ report, outcome }) => {
+  if (!["approved", "reimbursed"].includes(report.status)) return 0;
+  return report.approvedAmount != null ? report.approvedAmount : outcome.amount;
+};
+
+const summarize = (items) => ({
+  count: items.length,
+  amount: items.reduce((acc, item) => acc + item.outcome.amount, 0),
+  reports: items
+    .slice(0, SIMULATION_LIST_LIMIT)
+    .map((item) => formatReport(item.report, item.user, item.outcome)),
+});
+
+/* Replays the reports submitted between `from` and `to` by the users a draft `policy` or draft
+`tier` categories are for, once with the policies and tiers as they were and once with the drafts,
+and compares the outcomes. The draft policy is taken to have been in force over the whole range: it
+replaces the versions of the policy it is based on, and otherwise goes before other policies for
+the same users, unless those are written for the user's type and the draft isn't. Only users in
+the locations of `scope` are replayed, and per-month and per-event category limits only count the
+replayed report. The range is capped at SIMULATION_MAX_DAYS and the replay at the latest
+SIMULATION_MAX_REPORTS reports, `truncated` tells when reports were left out. Returns
+`{ status, message, data }`, with status 200 when the drafts are valid. */
+exports.simulatePolicy = async ({ from, to, policy, tier }, scope) => {
+  if (moment(to).diff(moment(from), "days") > SIMULATION_MAX_DAYS) {
+    return {
+      status: 400,
+      message: `A simulation can cover at most ${SIMULATION_MAX_DAYS} days`,
+    };
+  }
+
+  let draftPolicy;
+  let draftFamily;
+  if (policy) {
+    const draft = await buildDraftPolicy(policy);
+    if (draft.status !== 200) return draft;
+    draftPolicy = draft.policy;
+    draftFamily = draft.family;
+  }
+  let draftTier;
+  if (tier) {
+    const draft = await buildDraftTier(tier);
+    if (draft.status !== 200) return draft;
+    draftTier = draft.tier;
+  }
+
+  const tierIds = [
+    draftPolicy && draftPolicy.tier,
+    draftTier && draftTier._id,
+  ].filter(Boolean);
+  const userFilter = { tier: { $in: tierIds } };
+  if (scope) userFilter.location = { $in: scope };
+  const users = await User.find(userFilter)
+    .select("name tier location userType")
+    .lean();
+  const tiers = await Tier.find({ _id: { $in: tierIds } }).lean();
+  const policies = await Policy.find({ tier: { $in: tierIds } }).lean();
+  const otherPolicies = policies.filter(
+    (item) => !draftFamily || getFamily(item) !== draftFamily
+  );
+
+  const reports = await Report.find({
+    user: { $in: users.map((user) => user._id) },
+    reportDate: { $gte: from, $lte: to },
+    status: { $ne: "drafted" },
+  })
+    .select("reportId title user status reportDate approvedAmount expenses")
+    .sort({ reportDate: -1 })
+    .limit(SIMULATION_MAX_REPORTS + 1)
+    .populate(
+      "expenses",
+      "title amount date category location nights image aiScores"
+    )
+    .lean();
+  const truncated = reports.length > SIMULATION_MAX_REPORTS;
+  if (truncated) reports.pop();
+
+  const replay = (report, user, { withDrafts }) => {
+    const violations = [];
+    for (const expense of report.expenses) {
+      const date = expense.date || report.reportDate;
+      let applied = pickPolicy(policies, user, date);
+      if (withDrafts && draftPolicy && isDraftFor(draftPolicy, user)) {
+        const other = pickPolicy(otherPolicies, user, date);
+        applied =
+          other && other.userType && !draftPolicy.userType
+            ? other
+            : draftPolicy;
+      }
+      if (applied) {
+        violations.push(
+          ...evaluatePolicy(applied, expense).violations.map((violation) => ({
+            ...violation,
+            expense: expense.title,
+          }))
+        );
+      }
+    }
+
+    const userTier =
+      withDrafts && draftTier && String(draftTier._id) === String(user.tier)
+        ? draftTier
+        : tiers.find((item) => String(item._id) === String(user.tier));
+    if (userTier) {
+      violations.push(
+        ...checkTierCategories(userTier.categories, report.expenses, {
+          location: user.location,
+        })
+      );
+    }
+    return { result: worstResult(violations), violations };
+  };
+
+  const outcomes = reports.map((report) => {
+    const user = users.find((item) => String(item._id) === String(report.user));
+    const outcome = {
+      amount: report.expenses.reduce(
+        (acc, expense) => acc + (expense.amount || 0),
+        0
+      ),
+      current: replay(report, user, { withDrafts: false }),
+      draft: replay(report, user, { withDrafts: true }),
+    };
+    return { report, user, outcome };
+  });
+
+  const count = (key) =>
+    Object.fromEntries(
+      RESULTS.map((result) => [
+        result,
+        outcomes.filter((item) => item.outcome[key].result === result).length,
+      ])
+    );
+  const flipped = outcomes.filter(
+    (item) =>
+      item.outcome.current.result === "pass" &&
+      item.outcome.draft.result !== "pass"
+  );
+  const cleared = outcomes.filter(
+    (item) =>
+      item.outcome.current.result !== "pass" &&
+      item.outcome.draft.result === "pass"
+  );
+  const newlyBlocked = outcomes.filter(
+    (item) =>
+      item.outcome.current.result !== "block" &&
+      item.outcome.draft.result === "block"
+  );
+  const sum = (items, amount) =>
+    items.reduce((acc, item) => acc + amount(item), 0);
+
+  return {
+    status: 200,
+    message: "Policy simulated",
+    data: {
+      from: moment(from).format("MMM DD YYYY"),
+      to: moment(to).format("MMM DD YYYY"),
+      reports: outcomes.length,
+      truncated,
+      expenses: sum(outcomes, (item) => item.report.expenses.length),
+      current: count("current"),
+      draft: count("draft"),
+      flipped: summarize(flipped),
+      cleared: summarize(cleared),
+      spendImpact: {
+        //* Claimed amount of reports the drafts would have blocked
+        blocked: sum(newlyBlocked, (item) => item.outcome.amount),
+        //* Part of it that was approved or paid out
+        approved: sum(newlyBlocked, approvedAmount),
+        //* Claimed amount of reports that would no longer break the rules
+        cleared: sum(cleared, (item) => item.outcome.amount),
+      },
+    },
+  };
+};
@@ -0,0 +1,145 @@
+const moment = require("moment-timezone");
+const Policy = require("../models/policyModel");
+
+//* Policies created before versioning have no `family`, they are the first version of their own
+const getFamily = (policy) => policy.family || policy._id;
+
+const familyFilter = (family) => ({ $or: [{ family }, { _id: family }] });
+
+/* Picks the policy version in force for `user` on `date` out of `policies`: of the versions for the
+user's tier and location that were active on `date`, the one for the user's type, else the one for
+everyone. Among several the latest activated wins. */
+exports.pickPolicy = (policies, user, date) => {
+  if (!user.tier || !user.location) return null;
+  const tier = String(user.tier._id || user.tier);
+  const candidates = policies
+    .filter(
+      (policy) =>
+        String(policy.tier._id || policy.tier) === tier &&
+        policy.location === user.location &&
+        [user.userType, null, undefined, ""].includes(policy.userType) &&
+        policy.activationDate <= date &&
+        (!policy.retiredAt || policy.retiredAt > date)
+    )
+    .sort(
+      (first, second) =>
+        second.activationDate - first.activationDate ||
+        (second.version || 1) - (first.version || 1)
+    );
+  return (
+    candidates.find(
+      (policy) => policy.userType && policy.userType === user.userType
+    ) ||
+    candidates[0] ||
+    null
+  );
+};
+
+//* The policy version in force for `user` on `date`, see `pickPolicy`
+exports.findPolicy = async (user, date) => {
+  if (!user.tier || !user.location) return null;
+  const policies = await Policy.find({
+    tier: user.tier._id || user.tier,
+    location: user.location,
+    userType: { $in: [user.userType, null, ""] },
+    activationDate: { $lte: date },
+    $or: [{ retiredAt: null }, { retiredAt: { $gt: date } }],
+  });
+  return exports.pickPolicy(policies, user, date);
+};
+
+/* Replaces `policy` by a new version with `changes`, activated on `changes.activationDate` or right
+away. Versions are immutable: only the latest one can be replaced, and the new version can't be
+activated in the past or before the version it replaces, so what applied on a past date never
+changes. The replaced version is retired from the new activation date. Returns
+`{ status, message, policy }`, with status 201 when the version was created. */
+exports.createPolicyVersion = async (policy, changes, adminId) => {
+  const family = getFamily(policy);
+  const latest = await Policy.findOne(familyFilter(family)).sort({
+    version: -1,
+  });
+  if (String(latest._id) !== String(policy._id)) {
+    return {
+      status: 409,
+      message: `Only the latest version of a policy can be changed, this is version ${policy.version} of ${latest.version}`,
+    };
+  }
+
+  const activationDate = changes.activationDate
+    ? new Date(changes.activationDate)
+    : new Date();
+  if (moment(activationDate).isBefore(moment().startOf("day"))) {
+    return {
+      status: 400,
+      message: "A new version can't be activated in the past",
+    };
+  }
+  if (activationDate < policy.activationDate) {
+    return {
+      status: 400,
+      message:
+        "A new version can't be activated before the version it replaces",
+    };
+  }
+
+  const { _id, createdAt, updatedAt, retiredAt, createdBy, __v, ...current } =
+    policy.toObject();
+  const version = await Policy.create({
+    ...current,
+    ...changes,
+    activationDate,
+    family,
+    version: policy.version + 1,
+    createdBy: adminId,
+  });
+  await Policy.updateOne(
+    { _id: policy._id },
+    { family, version: policy.version, retiredAt: activationDate }
+  );
+
+  return { status: 201, message: "Policy version created", policy: version };
+};
+
+//* All versions of the policy `policy` belongs to, oldest first
+exports.getPolicyVersions = async (policy) => {
+  return Policy.find(familyFilter(getFamily(policy)))
+    .sort({ version: 1 })
+    .populate("tier", "title")
+    .populate("createdBy", "name")
+    .lean();
+};
+
+//* Whether a version is `scheduled`, `active` or `retired` at `date`
+exports.getPolicyStatus = (policy, date = new Date()) => {
+  if (policy.activationDate > date) return "scheduled";
+  if (policy.retiredAt && policy.retiredAt <= date) return "retired";
+  return "active";
+};
+
+//* Shapes a lean policy version, with `tier` and `createdBy` populated, for the history views
+exports.formatPolicyVersion = (policy) => {
+  return {
+    _id: policy._id,
+    family: getFamily(policy),
+    version: policy.version || 1,
+    status: exports.getPolicyStatus(policy),
+    policyTitle: policy.policyTitle,
+    tier: policy.tier && policy.tier.title,
+    userType: policy.userType,
+    location: policy.location,
+    activationDate: moment(policy.activationDate).format("MMM DD YYYY"),
+    retiredAt:
+      policy.retiredAt && moment(policy.retiredAt).format("MMM DD YYYY"),
+    policyDetails: policy.policyDetails,
+    accuracy: policy.accuracy,
+    authenticity: policy.authenticity,
+    compliance: policy.compliance,
+    relevance: policy.relevance,
+    completeness: policy.completeness,
+    scoreAction: policy.scoreAction,
+    rules: policy.rules,
+    createdBy: policy.createdBy && policy.createdBy.name,
+    createdAt:
+      policy.createdAt && moment(policy.createdAt).format("MMM DD YYYY"),
+  };
+};
@@ -0,0 +1,102 @@
+const moment = require("moment-timezone");
+
+//* Claimed amounts within this much of the receipt total are not flagged, to allow for rounding
+const RECEIPT_AMOUNT_TOLERANCE =
+  Number(process.env.RECEIPT_AMOUNT_TOLERANCE) || 1;
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/* Turns the output of the receipt extraction into the `Expense.receipt` fields. Values that could
+not be read are left out. */
+exports.normalizeReceipt = (extracted) => {
+  const date = extracted.date && moment(extracted.date, "YYYY-MM-DD", true);
+  return {
+    vendor: extracted.vendor || undefined,
+    invoiceNumber: extracted.invoiceNumber || undefined,
+    date: date && date.isValid() ? date.toDate() : undefined,
+    total: toNumber(extracted.total),
+    tax: toNumber(extracted.tax),
+    currency: extracted.currency || undefined,
+    category: extracted.category || undefined,
+    lineItems: (extracted.lineItems || []).map((item) => ({
+      description: item.description,
+      quantity: toNumber(item.quantity),
+      amount: toNumber(item.amount),
+    })),
+    extractedAt: new Date(),
+  };
+};
+
+/* Compares what was claimed on `expense` with what its receipt says: the amount against the
+receipt total, the date against the receipt date, and the category against the kind of expense the
+receipt looks like. Only fields read from the receipt are compared. */
+exports.findMismatches = (expense, receipt) => {
+  const mismatches = [];
+  if (!receipt) return mismatches;
+
+  if (
+    receipt.total != null &&
+    expense.amount != null &&
+    Math.abs(expense.amount - receipt.total) > RECEIPT_AMOUNT_TOLERANCE
+  ) {
+    mismatches.push({
+      field: "amount",
+      claimed: expense.amount,
+      receipt: receipt.total,
+      message: `Claimed ${expense.amount} but the receipt total is ${receipt.total}`,
+    });
+  }
+
+  if (
+    receipt.date &&
+    expense.date &&
+    !moment(expense.date).isSame(receipt.date, "day")
+  ) {
+    mismatches.push({
+      field: "date",
+      claimed: moment(expense.date).format("MMM DD YYYY"),
+      receipt: moment(receipt.date).format("MMM DD YYYY"),
+      message: "The expense date is not the date on the receipt",
+    });
+  }
+
+  if (
+    receipt.category &&
+    expense.category &&
+    receipt.category.toLowerCase() !== expense.category.toLowerCase()
+  ) {
+    mismatches.push({
+      field: "category",
+      claimed: expense.category,
+      receipt: receipt.category,
+      message: `Claimed as ${expense.category} but the receipt looks like ${receipt.category}`,
+    });
+  }
+
+  return mismatches;
+};
+
+//* Shapes the extracted receipt and the mismatches of a lean expense for the approval views
+exports.formatReceiptCheck = (expense) => {
+  const receipt = expense.receipt;
+  return {
+    receipt: receipt && {
+      vendor: receipt.vendor,
+      invoiceNumber: receipt.invoiceNumber,
+      date: receipt.date && moment(receipt.date).format("MMM DD YYYY"),
+      total: receipt.total,
+      tax: receipt.tax,
+      currency: receipt.currency,
+      lineItems: receipt.lineItems,
+    },
+    mismatches: (expense.mismatches || []).map((mismatch) => ({
+      field: mismatch.field,
+      claimed: mismatch.claimed,
+      receipt: mismatch.receipt,
+      message: mismatch.message,
+    })),
+  };
+};
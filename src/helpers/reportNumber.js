@@ -0,0 +1,47 @@
+const moment = require("moment-timezone");
+const Counter = require("../models/counterModel");
+const Report = require("../models/reportModel");
+
+/* Report ids are built from `REPORT_ID_FORMAT`, where `{prefix}` is `REPORT_ID_PREFIX`, `{year}`
+the current year, `{location}` a code for the report's location and `{seq}` the sequence number
+padded to `REPORT_ID_PADDING` digits. Each year and location in the format gets its own sequence.
+The defaults keep the original `Rep#001` ids. */
+const REPORT_ID_FORMAT = process.env.REPORT_ID_FORMAT || "{prefix}{seq}";
+const REPORT_ID_PREFIX = process.env.REPORT_ID_PREFIX || "Rep#";
+const REPORT_ID_PADDING = Number(process.env.REPORT_ID_PADDING) || 3;
+
+//* First three letters or digits of the location, e.g. `KOC` for Kochi
+const getLocationCode = (location) => {
+  const code = (location || "").replace(/[^a-z0-9]/gi, "").slice(0, 3);
+  return code ? code.toUpperCase() : "GEN";
+};
+
+const nextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+/* Takes the next report id for `report` from its counter. Counters start at zero, so ids that are
+already in use, e.g. from before the counters existed, are skipped. */
+exports.nextReportId = async (report) => {
+  const year = moment().format("YYYY");
+  const location = getLocationCode(report.location);
+
+  let name = "report";
+  if (REPORT_ID_FORMAT.includes("{year}")) name += `:${year}`;
+  if (REPORT_ID_FORMAT.includes("{location}")) name += `:${location}`;
+
+  let reportId;
+  do {
+    const seq = await nextSequence(name);
+    reportId = REPORT_ID_FORMAT.replace("{prefix}", REPORT_ID_PREFIX)
+      .replace("{year}", year)
+      .replace("{location}", location)
+      .replace("{seq}", String(seq).padStart(REPORT_ID_PADDING, "0"));
+  } while (await Report.exists({ reportId }));
+  return reportId;
+};
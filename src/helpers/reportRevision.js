@@ -0,0 +1,104 @@
+const Expense = require("../models/expenseModel");
+
+const REPORT_FIELDS = ["title", "description", "location", "reportDate"];
+const EXPENSE_FIELDS = [
+  "title",
+  "amount",
+  "date",
+  "category",
+  "description",
+  "location",
+  "image",
+];
+
+const pick = (source, fields) => {
+  return fields.reduce((acc, field) => {
+    acc[field] = source[field];
+    return acc;
+  }, {});
+};
+
+//* Values are compared by their JSON form so dates and arrays compare by value
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const diffFields = (before, after, fields) => {
+  return fields
+    .filter((field) => !isSame(before[field], after[field]))
+    .map((field) => ({ field, from: before[field], to: after[field] }));
+};
+
+/* Captures the reviewable content of a report and its expenses. */
+const snapshotReport = async (report) => {
+  const expenses = await Expense.find({ _id: { $in: report.expenses } }).lean();
+  return {
+    ...pick(report, REPORT_FIELDS),
+    expenses: expenses.map((expense) => ({
+      expense: expense._id,
+      ...pick(expense, EXPENSE_FIELDS),
+    })),
+  };
+};
+
+/* Starts a new revision when a report is submitted. The first submission is revision 1, every
+resubmission after a recall or rejection increments it. The report is not saved. */
+exports.recordRevision = async (report) => {
+  report.revision = (report.revisions || []).length + 1;
+  report.revisions.push({
+    revision: report.revision,
+    snapshot: await snapshotReport(report),
+    submittedAt: new Date(),
+  });
+};
+
+/* Marks the current revision as reviewed once an approver or admin took a final decision on it. */
+exports.markRevisionReviewed = (report) => {
+  const current =
+    report.revisions && report.revisions[report.revisions.length - 1];
+  if (current) current.reviewedAt = new Date();
+};
+
+/* Lists what changed in the current revision of `report` since the last revision that was
+reviewed: report fields, and expenses added, removed or edited. Returns null when no earlier
+revision was reviewed. */
+exports.diffSinceLastReview = (report) => {
+  const revisions = report.revisions || [];
+  const current = revisions[revisions.length - 1];
+  const reviewed = revisions
+    .slice(0, -1)
+    .reverse()
+    .find((revision) => revision.reviewedAt);
+  if (!current || !reviewed) return null;
+
+  const before = reviewed.snapshot;
+  const after = current.snapshot;
+  const beforeExpenses = new Map(
+    before.expenses.map((item) => [String(item.expense), item])
+  );
+  const afterExpenses = new Map(
+    after.expenses.map((item) => [String(item.expense), item])
+  );
+
+  return {
+    fromRevision: reviewed.revision,
+    toRevision: current.revision,
+    report: diffFields(before, after, REPORT_FIELDS),
+    addedExpenses: after.expenses.filter(
+      (item) => !beforeExpenses.has(String(item.expense))
+    ),
+    removedExpenses: before.expenses.filter(
+      (item) => !afterExpenses.has(String(item.expense))
+    ),
+    changedExpenses: after.expenses
+      .filter((item) => beforeExpenses.has(String(item.expense)))
+      .map((item) => ({
+        expense: item.expense,
+        title: item.title,
+        changes: diffFields(
+          beforeExpenses.get(String(item.expense)),
+          item,
+          EXPENSE_FIELDS
+        ),
+      }))
+      .filter((item) => item.changes.length > 0),
+  };
+};
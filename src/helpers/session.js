@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+const Session = require("../models/sessionModel");
+const {
+  generateToken,
+  generateRefreshToken,
+  hashToken,
+} = require("../utils/generateToken");
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+//* Users carry their userType in the token, admins carry their role id
+const getRoleId = (subject, subjectModel) => {
+  return subjectModel === "Admin" ? subject.role : subject.userType;
+};
+
+const refreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/* Opens a new login session for a user or admin and issues the first access/refresh token pair. */
+exports.createSession = async (subject, subjectModel, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    subject: subject._id,
+    subjectModel,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+
+  const token = generateToken(
+    subject._id,
+    getRoleId(subject, subjectModel),
+    session._id
+  );
+  return { token, refreshToken };
+};
+
+/* Exchanges a refresh token for a new token pair. A refresh token that was already exchanged is
+treated as stolen, and the whole session is revoked. The token is swapped in a single update, so of
+two concurrent refreshes with the same token only one succeeds and the other counts as reuse.
+Returns null when the token is not usable. */
+exports.rotateSession = async (refreshToken, subjectModel) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const nextRefreshToken = generateRefreshToken();
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, subjectModel, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      tokenHash: hashToken(nextRefreshToken),
+      expiresAt: refreshExpiry(),
+      $push: { rotatedTokens: tokenHash },
+    },
+    { new: true }
+  );
+  if (!session) {
+    await Session.updateOne(
+      { rotatedTokens: tokenHash, subjectModel, revokedAt: null },
+      { revokedAt: now, revokedReason: "reuse" }
+    );
+    return null;
+  }
+
+  const subject = await mongoose.model(subjectModel).findById(session.subject);
+  if (!subject || subject.isDeleted) {
+    await exports.revokeSession(session._id, "deleted");
+    return null;
+  }
+
+  const token = generateToken(
+    subject._id,
+    getRoleId(subject, subjectModel),
+    session._id
+  );
+  return { token, refreshToken: nextRefreshToken };
+};
+
+exports.revokeSession = async (sessionId, reason = "logout") => {
+  return await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+//* Revokes every session of `subject`, except the session `except` when given
+exports.revokeAllSessions = async (subject, reason = "logout", except) => {
+  const filter = { subject, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  return await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+};
+
+exports.isSessionActive = async (sessionId) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return false;
+  }
+  const session = await Session.findById(sessionId).select("revokedAt").lean();
+  return !!session && !session.revokedAt;
+};
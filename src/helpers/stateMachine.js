@@ -0,0 +1,144 @@
+const moment = require("moment-timezone");
+const Expense = require("../models/expenseModel");
+
+/* Legal status transitions of reports and expenses, and who may perform each of them.
+ * - owner: the user who submitted the report or expense
+ * - approver: an approver acting on someone else's report
+ * - admin: an admin, further restricted by the permissions on the route
+ * - system: follow-up transitions the server makes as part of a report transition
+ * An expense the reviewer asked more information about is `info_requested` until it is corrected,
+ * and so is its report until the submitter resubmits it.
+ * `accepted` is a legacy report status and is treated like `approved`. */
+const REPORT_TRANSITIONS = {
+  drafted: { pending: ["owner"] },
+  pending: {
+    drafted: ["owner"],
+    approved: ["approver", "admin"],
+    rejected: ["approver", "admin"],
+    info_requested: ["approver", "admin"],
+  },
+  approved: { reimbursed: ["approver", "admin"] },
+  accepted: { reimbursed: ["approver", "admin"] },
+  rejected: { pending: ["owner"] },
+  info_requested: { pending: ["owner"] },
+  reimbursed: {},
+};
+
+//* Reports are created either as a draft or straight into review
+const REPORT_INITIAL_STATES = ["drafted", "pending"];
+
+const EXPENSE_TRANSITIONS = {
+  draft: { mapped: ["owner"] },
+  mapped: {
+    draft: ["owner"],
+    approved: ["approver", "admin"],
+    rejected: ["approver", "admin"],
+    info_requested: ["approver", "admin"],
+  },
+  //* Expenses of a rejected report go back into review when it is resubmitted
+  approved: { mapped: ["system"] },
+  accepted: {},
+  rejected: { draft: ["owner"], mapped: ["system"] },
+  info_requested: { draft: ["owner"], mapped: ["system"] },
+};
+
+const checkTransition = (transitions, kind, from, to, role) => {
+  const allowed = transitions[from] && transitions[from][to];
+  if (!allowed) {
+    return { status: 409, message: `A ${from} ${kind} can't be ${to}` };
+  }
+  if (!allowed.includes(role)) {
+    return {
+      status: 403,
+      message: "You don't have permission to perform this action",
+    };
+  }
+  return { status: 200, message: "Transition allowed" };
+};
+
+exports.checkReportInitialState = (status) => {
+  if (!REPORT_INITIAL_STATES.includes(status)) {
+    return { status: 400, message: `A report can't be created as ${status}` };
+  }
+  return { status: 200, message: "Transition allowed" };
+};
+
+//* First entry of the transition log of a report created as `status`
+exports.initialReportTransition = (status, actor) => ({
+  from: null,
+  to: status,
+  actor: actor.id,
+  actorModel: actor.model,
+});
+
+/* Moves `report` to `to` when the state machine allows `actor` ({ id, model, role }) to, and appends
+the transition to the report's log. The report is not saved. Returns `{ status, message }`, with
+status 200 when the transition was applied. */
+exports.transitionReport = (report, to, actor, reason) => {
+  const from = report.status;
+  const result = checkTransition(
+    REPORT_TRANSITIONS,
+    "report",
+    from,
+    to,
+    actor.role
+  );
+  if (result.status !== 200) return result;
+
+  report.status = to;
+  report.transitions.push({
+    from,
+    to,
+    actor: actor.id,
+    actorModel: actor.model,
+    reason,
+  });
+  return result;
+};
+
+/* Moves the expenses `expenseIds` to `to`. Nothing is changed unless every expense may make the
+transition. Expenses going back into review lose the decision of their previous review. Returns `{ status, message }`, with status 200 when the expenses were updated. */
+exports.transitionExpenses = async (expenseIds, to, role) => {
+  if (!expenseIds || expenseIds.length === 0) {
+    return { status: 200, message: "Transition allowed" };
+  }
+
+  const expenses = await Expense.find({ _id: { $in: expenseIds } }).select(
+    "status title"
+  );
+  for (const expense of expenses) {
+    if (expense.status === to) continue;
+    const result = checkTransition(
+      EXPENSE_TRANSITIONS,
+      "expense",
+      expense.status,
+      to,
+      role
+    );
+    if (result.status !== 200) {
+      return {
+        status: result.status,
+        message: `${expense.title}: ${result.message}`,
+      };
+    }
+  }
+
+  const update =
+    to === "mapped"
+      ? { status: to, $unset: { decision: 1, approvedAmount: 1 } }
+      : { status: to };
+  await Expense.updateMany({ _id: { $in: expenseIds } }, update);
+  return { status: 200, message: "Transition allowed" };
+};
+
+//* Shapes a report's transition log, with `transitions.actor` populated, for the detail views
+exports.formatTransitions = (report) => {
+  return (report.transitions || []).map((transition) => ({
+    from: transition.from,
+    to: transition.to,
+    actor: transition.actor && transition.actor.name,
+    actorModel: transition.actorModel,
+    reason: transition.reason,
+    createdAt: moment(transition.createdAt).format("MMM DD YYYY hh:mm A"),
+  }));
+};
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const Admin = require("../models/adminModel");
+const { hashPassword, comparePasswords } = require("../utils/bcrypt");
+const { verifyTotp } = require("../utils/totp");
+const { failureUpdate } = require("./lockout");
+
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_MAX_ATTEMPTS = Number(process.env.TOTP_MAX_ATTEMPTS) || 5;
+const TOTP_LOCK_MINUTES = Number(process.env.TOTP_LOCK_MINUTES) || 15;
+const TOTP_MAX_LOCK_MINUTES = 24 * 60;
+
+exports.isTotpLocked = (admin) => {
+  return !!admin.totpLockedUntil && admin.totpLockedUntil > new Date();
+};
+
+/* Generates a fresh set of recovery codes. The plain codes are shown to the admin once, only the
+hashes are stored. */
+exports.generateRecoveryCodes = async () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  const hashes = await Promise.all(codes.map((code) => hashPassword(code)));
+  return { codes, hashes };
+};
+
+const resetTotpFailures = (admin) => {
+  admin.totpAttempts = 0;
+  admin.totpLockCount = 0;
+  admin.totpLockedUntil = null;
+};
+
+/* Verifies the second factor of an admin loaded with `+totpSecret +totpLastUsedStep
++totpRecoveryCodes`. A TOTP code is accepted once per time step and a recovery code is removed once
+used. Saves the admin and returns true when the factor is valid. Wrong codes lock the second
+factor out like a wrong MPIN does, check `isTotpLocked` first. */
+exports.verifySecondFactor = async (admin, { totpCode, recoveryCode }) => {
+  if (totpCode) {
+    const step = verifyTotp(admin.totpSecret, totpCode);
+    if (step !== null && step > (admin.totpLastUsedStep || 0)) {
+      admin.totpLastUsedStep = step;
+      resetTotpFailures(admin);
+      await admin.save();
+      return true;
+    }
+  }
+
+  if (recoveryCode) {
+    const codes = admin.totpRecoveryCodes || [];
+    for (let i = 0; i < codes.length; i++) {
+      if (
+        await comparePasswords(
+          String(recoveryCode).trim().toLowerCase(),
+          codes[i]
+        )
+      ) {
+        admin.totpRecoveryCodes = codes.filter((_, index) => index !== i);
+        resetTotpFailures(admin);
+        await admin.save();
+        return true;
+      }
+    }
+  }
+
+  await Admin.updateOne(
+    { _id: admin._id },
+    failureUpdate(
+      {
+        attempts: "totpAttempts",
+        lockCount: "totpLockCount",
+        lockedUntil: "totpLockedUntil",
+      },
+      {
+        maxAttempts: TOTP_MAX_ATTEMPTS,
+        lockMinutes: TOTP_LOCK_MINUTES,
+        maxLockMinutes: TOTP_MAX_LOCK_MINUTES,
+      }
+    )
+  );
+  return false;
+};
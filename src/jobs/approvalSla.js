@@ -0,0 +1,137 @@
+const cron = require("node-cron");
+const Report = require("../models/reportModel");
+const {
+  getCurrentStep,
+  notifyCurrentStep,
+} = require("../helpers/approvalChain");
+require("dotenv").config();
+
+const SLA_CRON = process.env.SLA_CRON || "0 * * * *";
+const SLA_REMINDER_HOURS = Number(process.env.SLA_REMINDER_HOURS) || 48;
+const SLA_ESCALATION_HOURS = Number(process.env.SLA_ESCALATION_HOURS) || 96;
+const { SLA_ESCALATION_ROLE } = process.env;
+
+const HOUR = 60 * 60 * 1000;
+
+const getSla = (tier) => {
+  const sla = (tier && tier.sla) || {};
+  return {
+    reminderHours: sla.reminderHours || SLA_REMINDER_HOURS,
+    escalationHours: sla.escalationHours || SLA_ESCALATION_HOURS,
+    escalationRole: sla.escalationRole || SLA_ESCALATION_ROLE,
+  };
+};
+
+const hasEntry = (report, action) => {
+  return report.escalations.some(
+    (entry) => entry.action === action && entry.step === report.currentStep
+  );
+};
+
+/* Whether the current `step` of `report` is its last and already with the escalation role, as the
+step `escalate` adds or a chain ending with that role. There is nobody further to escalate to. */
+const isEscalationStep = (report, step, escalationRole) => {
+  return (
+    !!escalationRole &&
+    report.currentStep >= report.approvalSteps.length - 1 &&
+    step.approverType === "role" &&
+    String(step.role) === String(escalationRole)
+  );
+};
+
+/* Hands the current step over: to the next step of the chain when there is one, otherwise to a new
+step for the tier's escalation role. Without either, the escalation is only recorded. */
+const escalate = (report, step, escalationRole) => {
+  const entry = {
+    action: "escalation",
+    step: report.currentStep,
+    from: step.user,
+    fromRole: step.role,
+  };
+
+  const isLastStep = report.currentStep >= report.approvalSteps.length - 1;
+  if (isLastStep && !escalationRole) {
+    report.escalations.push({
+      ...entry,
+      note: "No escalation role configured, the report stays with the current approver",
+    });
+    return false;
+  }
+
+  if (isLastStep) {
+    report.approvalSteps.push({
+      title: "Escalation",
+      approverType: "role",
+      role: escalationRole,
+    });
+  }
+
+  step.status = "escalated";
+  step.actedAt = new Date();
+  report.currentStep += 1;
+  report.currentStepAt = new Date();
+
+  const next = getCurrentStep(report);
+  report.escalations.push({ ...entry, to: next.user, toRole: next.role });
+  return true;
+};
+
+/* Watches pending reports against the approval SLA of the submitter's tier. Once the current step
+has waited `reminderHours` its approver is reminded, after `escalationHours` the step is escalated.
+Reports created before approval chains have no steps and are left alone. */
+cron.schedule(SLA_CRON, async () => {
+  try {
+    const reports = await Report.find({
+      status: "pending",
+      "approvalSteps.0": { $exists: true },
+    }).populate({
+      path: "user",
+      select: "tier",
+      populate: { path: "tier", select: "sla" },
+    });
+
+    let reminded = 0;
+    let escalated = 0;
+    for (const report of reports) {
+      const step = getCurrentStep(report);
+      if (!step || step.status !== "pending") continue;
+
+      const { reminderHours, escalationHours, escalationRole } = getSla(
+        report.user && report.user.tier
+      );
+      const waitingHours =
+        (Date.now() - (report.currentStepAt || report.createdAt)) / HOUR;
+
+      if (waitingHours >= escalationHours) {
+        if (
+          hasEntry(report, "escalation") ||
+          isEscalationStep(report, step, escalationRole)
+        ) {
+          continue;
+        }
+        const moved = escalate(report, step, escalationRole);
+        await report.save();
+        if (moved) {
+          await notifyCurrentStep(report);
+          escalated += 1;
+        }
+      } else if (waitingHours >= reminderHours) {
+        if (hasEntry(report, "reminder")) continue;
+        report.escalations.push({
+          action: "reminder",
+          step: report.currentStep,
+          to: step.user,
+          toRole: step.role,
+        });
+        await report.save();
+        await notifyCurrentStep(report);
+        reminded += 1;
+      }
+    }
+    console.log(
+      `Approval SLA: ${reminded} reminders sent, ${escalated} reports escalated`
+    );
+  } catch (err) {
+    console.error("Error checking approval SLA:", err);
+  }
+});
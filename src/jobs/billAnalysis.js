@@ -1,14 +1,13 @@
 const Tesseract = require('tesseract.js');
 const Expense = require('../models/expenseModel');
+const User = require('../models/userModel');
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
-const { ChatOpenAI } = require('@langchain/openai');
 const { z } = require('zod');
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-console.log(process.env.test,'OpenAI API key', OPENAI_API_KEY);
-if (!OPENAI_API_KEY) {
-  throw new Error('Missing OpenAI API key. Please set OPENAI_API_KEY in your .env file.');
-}
+const { enqueueJob, willRetry, isRerunPending } = require('../helpers/jobQueue');
+const { getStructuredChain } = require('../helpers/llmProvider');
+const { normalizeReceipt, findMismatches } = require('../helpers/receiptCheck');
+const { hashImage, getHashBands, getReceiptFingerprint } = require('../helpers/duplicateCheck');
+const { applyPolicyChecks } = require('../helpers/policyRules');
 
 const taggingPrompt = ChatPromptTemplate.fromTemplate(
   `Extract the desired information from the following passage.
@@ -53,18 +52,49 @@ const classificationSchema = z.object({
     .describe("Evaluates how relevant the expense is to the employee's job function and current projects. Non-relevant expenses might score lower."),
 });
 
-// LLM
-const llm = new ChatOpenAI({
-  temperature: 0,
-  model: 'gpt-3.5-turbo-0125',
-  apiKey: OPENAI_API_KEY,
-});
+const extractionPrompt = ChatPromptTemplate.fromTemplate(
+  `Extract the receipt details from the following OCR text of a bill.
+  
+  Leave out anything that is not clearly on the receipt. Give the date as YYYY-MM-DD and amounts as plain numbers.
+  For the category pick the one of these expense categories the receipt is for, if any: {categoryList}
+  
+  OCR text:
+  {ocrText}
+  `
+);
 
-const llmWithStructuredOutput = llm.withStructuredOutput(classificationSchema, {
-  name: 'extractor',
+const receiptSchema = z.object({
+  vendor: z.string().optional().describe("Name of the shop, company or service provider that issued the receipt"),
+  invoiceNumber: z.string().optional().describe("Invoice, bill or receipt number"),
+  date: z.string().optional().describe("Date of the receipt as YYYY-MM-DD"),
+  total: z.number().optional().describe("Total amount paid, including taxes"),
+  tax: z.number().optional().describe("Total tax amount, e.g. GST or VAT"),
+  currency: z.string().optional().describe("Currency code of the amounts, e.g. INR"),
+  category: z.string().optional().describe("The expense category from the given list the receipt is for"),
+  lineItems: z
+    .array(
+      z.object({
+        description: z.string().describe("What was bought"),
+        quantity: z.number().optional().describe("Number of units"),
+        amount: z.number().optional().describe("Amount of the line"),
+      })
+    )
+    .optional()
+    .describe("Items listed on the receipt"),
 });
 
-const taggingChain = taggingPrompt.pipe(llmWithStructuredOutput);
+// LLM, built on first use from the configured provider
+const getTaggingChain = () =>
+  getStructuredChain('billScoring', { prompt: taggingPrompt, schema: classificationSchema });
+
+const getExtractionChain = () =>
+  getStructuredChain('receiptExtraction', { prompt: extractionPrompt, schema: receiptSchema });
+
+// Expense categories of the submitter's tier, the receipt category is picked from these
+async function getCategories(userId) {
+  const user = await User.findById(userId).populate('tier', 'categories');
+  return user && user.tier ? user.tier.categories.map((category) => category.title) : [];
+}
 
 async function createWorker() {
   const worker = await Tesseract.createWorker();
@@ -74,57 +104,117 @@ async function createWorker() {
   return worker;
 }
 
-async function getExpenseWithoutAIScore(id) {
-  return await Expense.findOne({ _id: id, aiScore: { $exists: false } });
-}
-
+// Errors are thrown so the job queue can retry the analysis
 async function runOCR(id) {
+  const expense = await Expense.findById(id);
+  if (!expense) {
+    console.log('No expense found for the given ID.');
+    return;
+  }
+
+  if (!expense.image || expense.image.length === 0) {
+    console.log('Expense does not have an image.');
+    return;
+  }
+
+  const worker = await createWorker();
+  let ocrText = '';
+
   try {
-    const expense = await getExpenseWithoutAIScore(id);
-    if (!expense) {
-      console.log('No expense without AI score found for the given ID.');
-      return;
+    console.log('Starting OCR for expense:', expense._id);
+    
+    // Process each image in the array
+    for (let i = 0; i < expense.image.length; i++) {
+      const { data: { text } } = await worker.recognize(expense.image[i]);
+      console.log(`Recognition result for expense ${expense._id}, image ${i + 1}:`, text);
+      expense.documentOcrText[i] = text; // Save concatenated OCR result
     }
 
-    if (!expense.image || expense.image.length === 0) {
-      console.log('Expense does not have an image.');
-      return;
-    }
+    ocrText = expense.documentOcrText.join(' - next image - ');
 
-    const worker = await createWorker();
-    let ocrText = '';
+    // Read the receipt fields and compare them with the claim
+    const categories = await getCategories(expense.user);
+    const extracted = await getExtractionChain().invoke({
+      ocrText,
+      categories,
+      categoryList: categories.join(', ') || 'none',
+    });
+    expense.receipt = normalizeReceipt(extracted);
+    expense.mismatches = findMismatches(expense, expense.receipt);
 
-    try {
-      console.log('Starting OCR for expense:', expense._id);
-      
-      // Process each image in the array
-      for (let i = 0; i < expense.image.length; i++) {
-        const { data: { text } } = await worker.recognize(expense.image[i]);
-        console.log(`Recognition result for expense ${expense._id}, image ${i + 1}:`, text);
-        expense.documentOcrText[i] = text; // Save concatenated OCR result
-      }
+    // Keys to find the same bill attached to other expenses
+    const hashes = await Promise.all(expense.image.map(hashImage));
+    expense.imageHashes = hashes.filter(Boolean);
+    expense.imageHashBands = getHashBands(expense.imageHashes);
+    expense.fingerprint = getReceiptFingerprint(expense);
 
-      ocrText = expense.documentOcrText.join(' - next image - ');
+    const input = `This is a reimbursement expense. The name of the expense is ${expense.title}, the amount is ${expense.amount}, the date is ${expense.date}, the time is ${expense.time}, the category is ${expense.category}, the description is ${expense.description}, and the ocr data in the image is ${ocrText}. With maximum scrutiny based on the data in the image find the scores for authenticity, accuracy, compliance, completeness, and relevance of the expense. Strictly If the ocr data in the image does not represent any type of bill then the scores should be 0.`;
 
+    const classificationResult = await getTaggingChain().invoke({ input, expense, ocrText });
 
-      const input = `This is a reimbursement expense. The name of the expense is ${expense.title}, the amount is ${expense.amount}, the date is ${expense.date}, the time is ${expense.time}, the category is ${expense.category}, the description is ${expense.description}, and the ocr data in the image is ${ocrText}. With maximum scrutiny based on the data in the image find the scores for authenticity, accuracy, compliance, completeness, and relevance of the expense. Strictly If the ocr data in the image does not represent any type of bill then the scores should be 0.`;
+    // Update the expense with the classification result
+    expense.aiScores = classificationResult;
+    await expense.save();
 
-      const classificationResult = await taggingChain.invoke({ input });
+    console.log('Processed values', classificationResult);
+  } finally {
+    await worker.terminate();
+  }
+}
 
-      // Update the expense with the classification result
-      expense.aiScores = classificationResult;
-      await expense.save();
+// Sets fields of the analysis status, with `status` only while the analysis still has that status
+async function setAnalysis(id, fields, status) {
+  const update = {};
+  for (const [key, value] of Object.entries(fields)) {
+    update[`analysis.${key}`] = value;
+  }
+  const filter = status ? { _id: id, 'analysis.status': status } : { _id: id };
+  await Expense.updateOne(filter, { $set: update });
+}
 
-      console.log('Processed values', classificationResult);
-    } catch (err) {
-      console.error('Error processing expense', expense._id, ':', err);
-    }
+// Queues the bill analysis of an expense, the job queue worker picks it up in the background
+async function queueBillAnalysis(id) {
+  const job = await enqueueJob('billAnalysis', { expense: id }, { key: String(id) });
+  await Expense.updateOne(
+    { _id: id },
+    { analysis: { status: 'queued', job: job._id, attempts: 0, queuedAt: new Date() } }
+  );
+  return job;
+}
 
-    await worker.terminate();
+// Expenses sent for approval before their scores were in are checked against the policy again, so
+// the approvers see the score thresholds they break
+async function recheckPolicy(id) {
+  const expense = await Expense.findById(id).select('user status');
+  if (!expense || expense.status !== 'mapped') return;
+  const user = await User.findById(expense.user);
+  if (user) await applyPolicyChecks(user, [id], false);
+}
+
+// Job queue handler, keeps the analysis status of the expense in sync with the job
+async function analyzeExpenseJob(job) {
+  const id = job.payload.expense;
+  await setAnalysis(id, { status: 'processing', attempts: job.attempts });
+  try {
+    await runOCR(id);
   } catch (err) {
-    console.error('Error in runOCR function:', err);
+    const retry = willRetry(job) || (await isRerunPending(job));
+    await setAnalysis(id, { status: retry ? 'queued' : 'failed', error: err.message });
+    throw err;
   }
+  // The expense changed while it was analysed, it stays queued for the rerun
+  if (await isRerunPending(job)) return;
+  await setAnalysis(id, { status: 'done', error: null, finishedAt: new Date() }, 'processing');
+  await recheckPolicy(id);
+}
+
+// Records the failure of a job that timed out on its last attempt
+async function failExpenseAnalysis(job) {
+  await setAnalysis(job.payload.expense, { status: 'failed', error: 'Bill analysis timed out' });
 }
 
 //test//
 module.exports = runOCR;
+module.exports.queueBillAnalysis = queueBillAnalysis;
+module.exports.analyzeExpenseJob = analyzeExpenseJob;
+module.exports.failExpenseAnalysis = failExpenseAnalysis;
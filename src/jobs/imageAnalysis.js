@@ -1,8 +1,8 @@
 const axios = require('axios');
 const { HumanMessage } = require('@langchain/core/messages');
-const { ChatOpenAI } = require('@langchain/openai');
 const { ChatPromptTemplate } = require('@langchain/core/prompts');
 const { z } = require('zod');
+const { getStructuredChain } = require('../helpers/llmProvider');
 
 // Function to fetch the image data as a binary buffer
 async function getImageData(url) {
@@ -40,16 +40,10 @@ const expenseSchema = z.object({
     description: z.string().optional().describe("Description of the expense bill"),
 });
 
-// Analyze the image using GPT-4 via LangChain
+// Analyze the image with the vision model of the configured LLM provider
 async function analyzeImage(imageUrl) {
     console.log("Starting analysis of image:", imageUrl);
 
-    const model = new ChatOpenAI({
-        temperature: 0,
-        modelName: 'gpt-4o',  // Use the GPT-4 Vision model for image analysis
-        apiKey: process.env.OPENAI_API_KEY,  // Ensure the API key is set in the environment variables
-    });
-
     try {
         // Fetch and convert the image to base64
         const base64Image = await getImageData(imageUrl);
@@ -73,14 +67,12 @@ async function analyzeImage(imageUrl) {
         });
         console.log("Input content for LLM prepared:", inputContent);
 
-        // Add Zod schema validation for structured output
-        const llmWithStructuredOutput = model.withStructuredOutput(expenseSchema, {
-            name: 'extractor',
+        // Tagging chain with Zod schema validation for structured output
+        const taggingChain = getStructuredChain('imageTagging', {
+            prompt: taggingPrompt,
+            schema: expenseSchema,
         });
 
-        // Create a tagging chain by piping the prompt with structured output
-        const taggingChain = taggingPrompt.pipe(llmWithStructuredOutput);
-
         // Invoke the model with the image content
         const response = await taggingChain.invoke({ input: inputContent });
         console.log("Response from LLM received:", response);
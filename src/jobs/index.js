@@ -1 +1,3 @@
 require("./updateEventStatus"); 
+require("./approvalSla");
+require("./jobQueue");
@@ -0,0 +1,60 @@
+const cron = require("node-cron");
+const {
+  claimJob,
+  completeJob,
+  failJob,
+  releaseStaleJobs,
+} = require("../helpers/jobQueue");
+const { analyzeExpenseJob, failExpenseAnalysis } = require("./billAnalysis");
+require("dotenv").config();
+
+const JOB_QUEUE_CRON = process.env.JOB_QUEUE_CRON || "*/10 * * * * *";
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+
+//* Handler of each job type, called with the claimed job. A handler fails the job by throwing
+const HANDLERS = {
+  billAnalysis: analyzeExpenseJob,
+};
+
+//* Called with the jobs of a type that timed out on their last attempt, to record that they failed
+const FAILURE_HANDLERS = {
+  billAnalysis: failExpenseAnalysis,
+};
+
+let draining = false;
+
+//* Runs due jobs one after another until nothing is due
+const work = async () => {
+  let job;
+  while ((job = await claimJob(Object.keys(HANDLERS)))) {
+    try {
+      await HANDLERS[job.type](job);
+      await completeJob(job);
+    } catch (err) {
+      console.error(`Job ${job._id} (${job.type}) failed:`, err.message);
+      await failJob(job, err);
+    }
+  }
+};
+
+/* Drains the job queue with `JOB_CONCURRENCY` workers. A run that is still busy when the next one
+is scheduled keeps the queue to itself. */
+cron.schedule(JOB_QUEUE_CRON, async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    const { requeued, failed } = await releaseStaleJobs();
+    if (requeued > 0) console.log(`Job queue: ${requeued} stale jobs requeued`);
+    if (failed.length > 0) {
+      console.log(`Job queue: ${failed.length} stale jobs failed`);
+    }
+    for (const job of failed) {
+      if (FAILURE_HANDLERS[job.type]) await FAILURE_HANDLERS[job.type](job);
+    }
+    await Promise.all(Array.from({ length: JOB_CONCURRENCY }, () => work()));
+  } catch (err) {
+    console.error("Error running the job queue:", err);
+  } finally {
+    draining = false;
+  }
+});
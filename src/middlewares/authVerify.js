@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const responseHandler = require("../helpers/responseHandler");
+const { isSessionActive } = require("../helpers/session");
 
 const authVerify = (req, res, next) => {
   const header = req.headers["authorization"];
@@ -10,12 +11,29 @@ const authVerify = (req, res, next) => {
     return responseHandler(res, 401, `No token provided...!`);
   }
 
-  jwt.verify(jwtToken, process.env.JWT_SECRET, (err, decoded) => {
+  jwt.verify(jwtToken, process.env.JWT_SECRET, async (err, decoded) => {
     if (err) {
+      if (err.name === "TokenExpiredError") {
+        return responseHandler(res, 401, `Token expired...!`);
+      }
       return responseHandler(res, 403, `Failed to authenticate token...!`);
     }
+    try {
+      //* Tokens are only honoured while their session has not been revoked
+      const active = await isSessionActive(decoded.payload.sessionId);
+      if (!active) {
+        return responseHandler(res, 401, `Session has been revoked...!`);
+      }
+    } catch (error) {
+      return responseHandler(
+        res,
+        500,
+        `Internal Server Error ${error.message}`
+      );
+    }
     req.userId = decoded.payload.userId;
     req.roleId = decoded.payload.roleId;
+    req.sessionId = decoded.payload.sessionId;
     return next();
   });
 };
@@ -0,0 +1,50 @@
+const responseHandler = require("../helpers/responseHandler");
+const checkAccess = require("../helpers/checkAccess");
+
+/* Builds the permission middleware. `match` is how the role's permissions have to cover the
+required ones, `every` or `some` of them. */
+const buildPermissionCheck = (match, permissions) => {
+  return async (req, res, next) => {
+    try {
+      const required = permissions
+        .map((permission) =>
+          typeof permission === "function" ? permission(req) : permission
+        )
+        .filter(Boolean);
+      if (required.length === 0) {
+        return next();
+      }
+
+      const check = await checkAccess(req, "permissions");
+      if (
+        !check ||
+        !required[match]((permission) => check.includes(permission))
+      ) {
+        return responseHandler(
+          res,
+          403,
+          "You don't have permission to perform this action"
+        );
+      }
+      return next();
+    } catch (error) {
+      return responseHandler(
+        res,
+        500,
+        `Internal Server Error ${error.message}`
+      );
+    }
+  };
+};
+
+/* Builds a middleware that only lets admins through whose role has every given permission. A
+permission can also be a function of the request, e.g. to pick it from a query parameter; when it
+returns nothing the check is skipped. */
+const requirePermission = (...permissions) =>
+  buildPermissionCheck("every", permissions);
+
+//* Like `requirePermission`, but any one of the given permissions will do
+requirePermission.any = (...permissions) =>
+  buildPermissionCheck("some", permissions);
+
+module.exports = requirePermission;
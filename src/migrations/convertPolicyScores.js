@@ -0,0 +1,56 @@
+/* Turns the score fields of policies into the numeric thresholds the policy rules compare the bill
+analysis scores with. They used to be free text, numbers in text are kept as they are and anything
+else, like "High", becomes 0 so it doesn't block any expense until an admin sets a threshold. Safe
+to run more than once.
+
+Usage: npm run migrate:policy-scores */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Policy = require("../models/policyModel");
+
+const SCORES = [
+  "accuracy",
+  "authenticity",
+  "compliance",
+  "relevance",
+  "completeness",
+];
+
+const toThreshold = (value) => {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number)) return 0;
+  return Math.max(0, Math.min(10, number));
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URL);
+
+  //* Read without the schema, the text values can't be cast to numbers
+  const policies = await Policy.collection
+    .find({ $or: SCORES.map((score) => ({ [score]: { $type: "string" } })) })
+    .toArray();
+
+  for (const policy of policies) {
+    const update = {};
+    for (const score of SCORES) {
+      if (typeof policy[score] === "string") {
+        update[score] = toThreshold(policy[score]);
+        if (update[score] !== Number(policy[score])) {
+          console.log(
+            `${policy._id}: ${score} "${policy[score]}" -> ${update[score]}`
+          );
+        }
+      }
+    }
+    await Policy.collection.updateOne({ _id: policy._id }, { $set: update });
+  }
+
+  console.log(`Converted the scores of ${policies.length} policies`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Error converting policy scores:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,36 @@
+/* Fills `imageHashBands` of the expenses with image hashes from those hashes, for expenses analysed
+before the bands were stored or after IMAGE_HASH_DISTANCE changed. The duplicate check only finds
+images through their bands. Safe to run more than once.
+
+Usage: npm run migrate:image-hash-bands */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Expense = require("../models/expenseModel");
+const { getHashBands } = require("../helpers/duplicateCheck");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URL);
+
+  const expenses = Expense.find({ imageHashes: { $exists: true, $ne: [] } })
+    .select("imageHashes")
+    .lean()
+    .cursor();
+
+  let count = 0;
+  for await (const expense of expenses) {
+    await Expense.updateOne(
+      { _id: expense._id },
+      { imageHashBands: getHashBands(expense.imageHashes) }
+    );
+    count += 1;
+  }
+
+  console.log(`Filled the image hash bands of ${count} expenses`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Error filling image hash bands:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+/* Gives every report a unique `reportId` so the unique index on it can be built. Ids used to be
+derived from the number of reports, so concurrent submissions and deletions left several reports
+with the same id. Of each duplicate id the oldest report keeps it, the others get a new id from the
+report counter and remember the old one in `formerReportIds`. Safe to run more than once.
+
+Usage: npm run migrate:report-ids */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Report = require("../models/reportModel");
+const { nextReportId } = require("../helpers/reportNumber");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URL);
+
+  const duplicates = await Report.aggregate([
+    { $match: { reportId: { $exists: true, $ne: null } } },
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: "$reportId", reports: { $push: "$_id" } } },
+    { $match: { "reports.1": { $exists: true } } },
+  ]);
+
+  let renumbered = 0;
+  for (const duplicate of duplicates) {
+    for (const reportId of duplicate.reports.slice(1)) {
+      const report = await Report.findById(reportId);
+      const newReportId = await nextReportId(report);
+      await Report.updateOne(
+        { _id: report._id },
+        {
+          reportId: newReportId,
+          $push: { formerReportIds: duplicate._id },
+        }
+      );
+      console.log(`${report._id}: ${duplicate._id} -> ${newReportId}`);
+      renumbered += 1;
+    }
+  }
+
+  await Report.createIndexes();
+  console.log(
+    `Renumbered ${renumbered} reports across ${duplicates.length} duplicate ids`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Error renumbering report ids:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
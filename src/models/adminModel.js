@@ -7,6 +7,20 @@ const adminSchema = mongoose.Schema(
     email: { type: String },
     mobile: { type: String },
     password: { type: String },
+    passwordChangedAt: { type: Date },
+    passwordHistory: { type: [String], select: false },
+    resetTokenHash: { type: String, select: false },
+    resetTokenExpiresAt: { type: Date },
+    totpEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    totpSecret: { type: String, select: false },
+    totpLastUsedStep: { type: Number, select: false },
+    totpRecoveryCodes: { type: [String], select: false },
+    totpAttempts: { type: Number, default: 0 },
+    totpLockCount: { type: Number, default: 0 },
+    totpLockedUntil: { type: Date },
     role: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Role",
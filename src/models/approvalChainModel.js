@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+const stepSchema = new mongoose.Schema({
+  title: { type: String },
+  //* approver: the submitter's `User.approver`, user: a fixed approver, role: any admin with `role`
+  approverType: {
+    type: String,
+    enum: ["approver", "user", "role"],
+    default: "approver",
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Role",
+  },
+  //* The step only applies when every condition that is set matches the report
+  minLevel: { type: Number },
+  maxLevel: { type: Number },
+  minAmount: { type: Number },
+  categories: [
+    {
+      type: String,
+      set: (v) => v.toLowerCase(),
+    },
+  ],
+});
+
+const approvalChainSchema = mongoose.Schema(
+  {
+    title: { type: String },
+    description: { type: String },
+    steps: [stepSchema],
+    status: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+const ApprovalChain = mongoose.model("ApprovalChain", approvalChainSchema);
+
+module.exports = ApprovalChain;
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+/* Amounts of one expense category in a budget period. `limit` is the tier's `maxAmount` for it when
+the category is limited per month and budgets are monthly, and empty otherwise */
+const categoryBudgetSchema = new mongoose.Schema(
+  {
+    title: { type: String },
+    limit: { type: Number },
+    committed: { type: Number, default: 0 },
+    approved: { type: Number, default: 0 },
+    reimbursed: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/* What a user's reports take from their tier's allowance in one period, by expense date. Expenses of
+pending reports are committed, those of approved reports approved and those of reimbursed reports
+reimbursed, each counted once. */
+const budgetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    //* Key of the period, e.g. 2024-06 for monthly budgets
+    period: { type: String, required: true },
+    periodStart: { type: Date },
+    periodEnd: { type: Date },
+    tier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tier",
+    },
+    //* The tier's `totalAmount` for the period
+    limit: { type: Number },
+    committed: { type: Number, default: 0 },
+    approved: { type: Number, default: 0 },
+    reimbursed: { type: Number, default: 0 },
+    categories: [categoryBudgetSchema],
+  },
+  { timestamps: true }
+);
+
+budgetSchema.index({ user: 1, period: 1 }, { unique: true });
+
+const Budget = mongoose.model("Budget", budgetSchema);
+
+module.exports = Budget;
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const commentSchema = mongoose.Schema(
+  {
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+    },
+    //* Set when the comment is about one expense of the report
+    expense: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Expense",
+    },
+    //* The comment that starts the thread, replies are not nested any deeper
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "authorModel",
+    },
+    authorModel: {
+      type: String,
+      enum: ["User", "Admin"],
+    },
+    text: { type: String },
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    //* Admins mentioned in the comment, kept apart from the mentioned users
+    adminMentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ report: 1, createdAt: 1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+module.exports = Comment;
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+//* Named sequences, incremented atomically. `_id` is the name of the sequence
+const counterSchema = mongoose.Schema(
+  {
+    _id: { type: String },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const delegationSchema = mongoose.Schema(
+  {
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    delegate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    reason: { type: String },
+    status: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+delegationSchema.index({ delegate: 1, startDate: 1, endDate: 1 });
+
+const Delegation = mongoose.model("Delegation", delegationSchema);
+
+module.exports = Delegation;
@@ -9,6 +9,8 @@ const expenseSchema = mongoose.Schema(
     location: { type: String },
     address: { type: String },
     category: { type: String },
+    //* Nights of a lodging expense, for per-night category limits
+    nights: { type: Number },
     description: { type: String },
     image: [{ type: String }], // TODO: change name as document 
     documentOcrText: [{ type: String }], 
@@ -19,9 +21,101 @@ const expenseSchema = mongoose.Schema(
     status: {
       type: String,
       default: "draft",
-      enum: ["draft", "mapped", "rejected", "accepted", "approved"], //TODO added approved for testing remove it later
+      enum: [
+        "draft",
+        "mapped",
+        "rejected",
+        "accepted",
+        "approved",
+        "info_requested",
+      ], //TODO added approved for testing remove it later
     },
     reason: { type: String },
+    //* Final decision of the report review on this expense
+    decision: {
+      decision: {
+        type: String,
+        enum: ["approve", "reject", "reduce", "info"],
+      },
+      reason: { type: String },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: "decision.decidedByModel",
+      },
+      decidedByModel: {
+        type: String,
+        enum: ["User", "Admin"],
+      },
+      decidedAt: { type: Date },
+    },
+    approvedAmount: { type: Number },
+    //* Fields read from the receipt by the bill analysis
+    receipt: {
+      vendor: { type: String },
+      invoiceNumber: { type: String },
+      date: { type: Date },
+      total: { type: Number },
+      tax: { type: Number },
+      currency: { type: String },
+      //* The kind of expense the receipt looks like, compared with `category`
+      category: { type: String },
+      lineItems: [
+        {
+          _id: false,
+          description: { type: String },
+          quantity: { type: Number },
+          amount: { type: Number },
+        },
+      ],
+      extractedAt: { type: Date },
+    },
+    //* Differences between the claim and its receipt, for the approvers
+    mismatches: [
+      {
+        _id: false,
+        field: { type: String, enum: ["amount", "date", "category"] },
+        claimed: { type: mongoose.Schema.Types.Mixed },
+        receipt: { type: mongoose.Schema.Types.Mixed },
+        message: { type: String },
+      },
+    ],
+    //* Outcome of the policy rules, checked when the expense is mapped into a report
+    policyCheck: {
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Policy",
+      },
+      result: { type: String, enum: ["pass", "warn", "block"] },
+      violations: [
+        {
+          _id: false,
+          rule: { type: String },
+          action: { type: String, enum: ["warn", "block"] },
+          message: { type: String },
+        },
+      ],
+      checkedAt: { type: Date },
+    },
+    //* Perceptual hashes of the images and the normalized receipt key, to find the same bill claimed twice
+    imageHashes: [{ type: String }],
+    //* The image hashes split into bands, close hashes share at least one, see `getHashBands`
+    imageHashBands: { type: [String], index: true },
+    fingerprint: { type: String, index: true },
+    //* Progress of the bill analysis job that fills `documentOcrText` and `aiScores`
+    analysis: {
+      status: {
+        type: String,
+        enum: ["queued", "processing", "done", "failed"],
+      },
+      job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Job",
+      },
+      attempts: { type: Number },
+      error: { type: String },
+      queuedAt: { type: Date },
+      finishedAt: { type: Date },
+    },
     aiScores: {
       authenticity: { type: Number, min: 0, max: 10 }, //Evaluates the legitimacy of the bill. This score could be determined by checking for common signs of tampering, the presence of a recognizable vendor logo, date formatting, etc.
       accuracy: { type: Number, min: 0, max: 10 }, //Measures how accurately the expense details match the company's reimbursement policy. This can include verifying amounts, dates, and the nature of the expense.
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+//* A background job of the MongoDB backed queue, see `helpers/jobQueue.js`
+const jobSchema = mongoose.Schema(
+  {
+    type: { type: String },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    status: {
+      type: String,
+      default: "queued",
+      enum: ["queued", "processing", "done", "failed"],
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number },
+    //* The job is not picked up before this time, used for the retry backoff
+    runAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    finishedAt: { type: Date },
+    lastError: { type: String },
+    /* `type` and the caller's key while the job is queued or processing, so that a subject has one
+    open job of a type at a time */
+    activeKey: { type: String },
+    //* Set when the subject changed while the job was processing, the job then runs once more
+    rerun: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ activeKey: 1 }, { unique: true, sparse: true });
+
+const Job = mongoose.model("Job", jobSchema);
+
+module.exports = Job;
@@ -8,9 +8,20 @@ const notificationSchema = mongoose.Schema(
     },
     user: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
+      refPath: "userModel",
+    },
+    //* Admins only get `comment` and `mention` notifications
+    userModel: {
+      type: String,
+      enum: ["User", "Admin"],
+      default: "User",
     },
     status: { type: String },
+    //* Set for `comment` and `mention` notifications
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
     isRead: {
       type: Boolean,
       default: false,
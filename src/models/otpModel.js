@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+const otpSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    purpose: {
+      type: String,
+      default: "login",
+      enum: ["login", "mpin_reset"],
+    },
+    codeHash: { type: String },
+    expiresAt: { type: Date },
+    attempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+    lastSentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+otpSchema.index({ user: 1, purpose: 1 }, { unique: true });
+
+const Otp = mongoose.model("Otp", otpSchema);
+
+module.exports = Otp;
@@ -1,5 +1,31 @@
 const mongoose = require('mongoose');
 
+// A rule checked on every expense mapped into a report, only the fields of its type are used
+const ruleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['categoryCap', 'weekend', 'holiday', 'receiptRequired', 'allowedLocations'],
+    required: true,
+  },
+  // `warn` flags the expense for the approvers, `block` keeps it out of reports sent for approval
+  action: {
+    type: String,
+    enum: ['warn', 'block'],
+    default: 'warn',
+  },
+  // categoryCap: most a single expense of `category` may claim
+  category: { type: String },
+  maxAmount: { type: Number },
+  // weekend: days of the week (0 is Sunday) expenses may not fall on
+  days: [{ type: Number, min: 0, max: 6 }],
+  // holiday: dates expenses may not fall on
+  dates: [{ type: Date }],
+  // receiptRequired: expenses above this amount need a bill image
+  amount: { type: Number },
+  // allowedLocations: the only locations expenses may be made at
+  locations: [{ type: String }],
+});
+
 const policySchema = new mongoose.Schema({
   policyTitle: {
     type: String,
@@ -25,27 +51,64 @@ const policySchema = new mongoose.Schema({
   policyDetails: {
     type: String,
   },
+  // Minimum bill analysis scores (0-10), an expense scoring lower breaks the policy
   accuracy: {
-    type: String,
+    type: Number,
+    min: 0,
+    max: 10,
     required: true,
   },
   authenticity: {
-    type: String,
+    type: Number,
+    min: 0,
+    max: 10,
     required: true,
   },
   compliance: {
-    type: String,
+    type: Number,
+    min: 0,
+    max: 10,
     required: true,
   },
   relevance: {
-    type: String,
+    type: Number,
+    min: 0,
+    max: 10,
     required: true,
   },
   completeness: {
-    type: String,
+    type: Number,
+    min: 0,
+    max: 10,
     required: true,
   },
-});
+  scoreAction: {
+    type: String,
+    enum: ['warn', 'block'],
+    default: 'warn',
+  },
+  rules: [ruleSchema],
+  // Policies are never edited, a change adds a version sharing the `family` of the first one
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Policy',
+  },
+  version: {
+    type: Number,
+    default: 1,
+  },
+  // Activation date of the next version, a version applies from its `activationDate` until then
+  retiredAt: {
+    type: Date,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+}, { timestamps: true });
+
+policySchema.index({ tier: 1, location: 1, activationDate: -1 });
+policySchema.index({ family: 1, version: 1 }, { unique: true, sparse: true });
 
 const Policy = mongoose.model('Policy', policySchema);
 
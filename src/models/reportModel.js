@@ -1,8 +1,117 @@
 const mongoose = require("mongoose");
 
+//* The decision a step took on one expense, `amount` is what it approved of it
+const lineDecisionSchema = new mongoose.Schema(
+  {
+    expense: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Expense",
+    },
+    decision: {
+      type: String,
+      enum: ["approve", "reject", "reduce", "info"],
+    },
+    amount: { type: Number },
+    reason: { type: String },
+  },
+  { _id: false }
+);
+
+const approvalStepSchema = new mongoose.Schema({
+  title: { type: String },
+  approverType: {
+    type: String,
+    enum: ["approver", "user", "role"],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Role",
+  },
+  status: {
+    type: String,
+    default: "pending",
+    enum: ["pending", "approved", "rejected", "escalated"],
+  },
+  actedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: "approvalSteps.actedByModel",
+  },
+  actedByModel: {
+    type: String,
+    enum: ["User", "Admin"],
+  },
+  //* Set when a delegate acted for the step's approver
+  onBehalfOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  actedAt: { type: Date },
+  reason: { type: String },
+  decisions: [lineDecisionSchema],
+});
+
+const escalationSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["reminder", "escalation"],
+    },
+    step: { type: Number },
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    fromRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Role",
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    toRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Role",
+    },
+    note: { type: String },
+  },
+  { timestamps: true }
+);
+
+const transitionSchema = new mongoose.Schema(
+  {
+    from: { type: String },
+    to: { type: String },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "transitions.actorModel",
+    },
+    actorModel: {
+      type: String,
+      enum: ["User", "Admin"],
+    },
+    reason: { type: String },
+  },
+  { timestamps: true }
+);
+
+const revisionSchema = new mongoose.Schema({
+  revision: { type: Number },
+  //* Report fields and expenses as they were submitted in this revision
+  snapshot: { type: mongoose.Schema.Types.Mixed },
+  submittedAt: { type: Date },
+  reviewedAt: { type: Date },
+});
+
 const reportModel = mongoose.Schema(
   {
-    reportId: { type: String },
+    reportId: { type: String, unique: true, sparse: true },
+    //* Ids the report had before duplicate ids were renumbered
+    formerReportIds: [{ type: String }],
     title: { type: String },
     reportDate: { type: Date },
     description: { type: String },
@@ -15,7 +124,15 @@ const reportModel = mongoose.Schema(
     status: {
       type: String,
       default: "pending",
-      enum: ["drafted", "pending", "accepted", "reimbursed", "rejected"],
+      enum: [
+        "drafted",
+        "pending",
+        "approved",
+        "accepted",
+        "reimbursed",
+        "rejected",
+        "info_requested",
+      ],
     },
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -39,6 +156,11 @@ const reportModel = mongoose.Schema(
       type: String,
       enum: ["User", "Admin"],
     },
+    //* The original approver, when the final decision was taken by their delegate
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     reimburser: {
       type: mongoose.Schema.Types.ObjectId,
       refPath: "reimburserModel",
@@ -48,6 +170,18 @@ const reportModel = mongoose.Schema(
       enum: ["User", "Admin"],
     },
     descriptionFinance: { type: String },
+    //* Sum of the approved amounts of the expenses, set once the report is approved
+    approvedAmount: { type: Number },
+    reimbursedAmount: { type: Number },
+    //* The submitter was warned that some expenses look like bills already claimed and reported them anyway
+    duplicatesAcknowledged: { type: Boolean },
+    approvalSteps: [approvalStepSchema],
+    currentStep: { type: Number, default: 0 },
+    currentStepAt: { type: Date },
+    escalations: [escalationSchema],
+    transitions: [transitionSchema],
+    revision: { type: Number, default: 1 },
+    revisions: [revisionSchema],
   },
   { timestamps: true }
 );
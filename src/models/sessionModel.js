@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = mongoose.Schema(
+  {
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "subjectModel",
+    },
+    subjectModel: {
+      type: String,
+      enum: ["User", "Admin"],
+    },
+    tokenHash: { type: String },
+    rotatedTokens: [{ type: String }], // hashes of refresh tokens already exchanged
+    userAgent: { type: String },
+    ip: { type: String },
+    expiresAt: { type: Date },
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ rotatedTokens: 1 });
+sessionSchema.index({ subject: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
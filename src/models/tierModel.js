@@ -6,6 +6,17 @@ const subSchema = new mongoose.Schema({
     set: (v) => v.toLowerCase(),
   },
   maxAmount: { type: Number },
+  //* What `maxAmount` limits: the category total of a report, of a day, of a month or of an event, a single expense, or a night of lodging
+  limitType: {
+    type: String,
+    enum: ["report", "day", "month", "event", "expense", "night"],
+    default: "report",
+  },
+  //* Factors of `maxAmount` for expenses in and outside the METRO_LOCATIONS
+  multipliers: {
+    metro: { type: Number, default: 1 },
+    nonMetro: { type: Number, default: 1 },
+  },
   status: {
     type: Boolean,
     default: false,
@@ -23,6 +34,15 @@ const tierSchema = mongoose.Schema(
     },
     totalAmount: { type: Number },
     level: { type: Number },
+    //* Approval SLA of reports submitted by this tier, unset values fall back to the SLA_* env defaults
+    sla: {
+      reminderHours: { type: Number },
+      escalationHours: { type: Number },
+      escalationRole: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Role",
+      },
+    },
   },
   { timestamps: true }
 );
@@ -7,8 +7,12 @@ const userSchema = mongoose.Schema(
     email: { type: String },
     mobile: { type: String },
     image: { type: String },
-    otp: { type: Number },
     mpin: { type: String },
+    mpinAttempts: { type: Number, default: 0 },
+    mpinLockCount: { type: Number, default: 0 },
+    mpinLockedUntil: { type: Date },
+    mpinSetupTokenHash: { type: String },
+    mpinSetupExpiresAt: { type: Date },
     designation: { type: String },
     userType: {
       type: String,
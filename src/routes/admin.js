@@ -1,76 +1,242 @@
 const express = require("express");
 const adminController = require("../controllers/adminController");
 const authVerify = require("../middlewares/authVerify");
+const requirePermission = require("../middlewares/requirePermission");
+const {
+  LIST_PERMISSIONS,
+  COMMENT_PERMISSIONS,
+} = require("../config/permissions");
 const adminRoute = express.Router();
 
 adminRoute.post("/login", adminController.loginAdmin);
+adminRoute.post("/refresh-token", adminController.refreshToken);
+adminRoute.post("/forgot-password", adminController.forgotPassword);
+adminRoute.post("/reset-password", adminController.resetPassword);
 
 adminRoute.use(authVerify);
 
+adminRoute.post("/logout", adminController.logout);
+adminRoute.put("/change-password", adminController.changePassword);
+adminRoute.post("/totp/setup", adminController.setupTotp);
+adminRoute.post("/totp/enable", adminController.enableTotp);
+adminRoute.post("/totp/disable", adminController.disableTotp);
+
 adminRoute
   .route("/")
-  .post(adminController.createAdmin)
+  .post(
+    requirePermission("adminManagement_modify"),
+    adminController.createAdmin
+  )
   .get(adminController.getAdmin);
 
 adminRoute
   .route("/admin/:id")
-  .put(adminController.editAdmin)
-  .get(adminController.getAdminById)
-  .delete(adminController.deleteAdmin);
+  .put(requirePermission("adminManagement_modify"), adminController.editAdmin)
+  .get(requirePermission("adminManagement_view"), adminController.getAdminById)
+  .delete(
+    requirePermission("adminManagement_modify"),
+    adminController.deleteAdmin
+  );
+
+adminRoute.get(
+  "/permissions",
+  requirePermission("roleManagement_view"),
+  adminController.getPermissions
+);
 
-adminRoute.route("/role").post(adminController.createRole);
+adminRoute
+  .route("/role")
+  .post(requirePermission("roleManagement_modify"), adminController.createRole);
 
 adminRoute
   .route("/role/:id")
-  .put(adminController.editRole)
-  .get(adminController.getRole)
-  .delete(adminController.deleteRole);
-
-adminRoute.get("/list", adminController.listController);
-
-adminRoute.post("/tier", adminController.createTier);
+  .put(requirePermission("roleManagement_modify"), adminController.editRole)
+  .get(requirePermission("roleManagement_view"), adminController.getRole)
+  .delete(
+    requirePermission("roleManagement_modify"),
+    adminController.deleteRole
+  );
+
+adminRoute.get(
+  "/list",
+  requirePermission((req) => LIST_PERMISSIONS[req.query.type]),
+  adminController.listController
+);
+
+adminRoute.post(
+  "/tier",
+  requirePermission("tierManagement_modify"),
+  adminController.createTier
+);
 
 adminRoute
   .route("/tier/:id")
-  .put(adminController.editTier)
-  .get(adminController.getTier)
-  .delete(adminController.deleteTier);
+  .put(requirePermission("tierManagement_modify"), adminController.editTier)
+  .get(requirePermission("tierManagement_view"), adminController.getTier)
+  .delete(
+    requirePermission("tierManagement_modify"),
+    adminController.deleteTier
+  );
+
+adminRoute.post(
+  "/approval-chain",
+  requirePermission("approvalManagement_modify"),
+  adminController.createApprovalChain
+);
 
-adminRoute.post("/user", adminController.createUser);
+adminRoute
+  .route("/approval-chain/:id")
+  .put(
+    requirePermission("approvalManagement_modify"),
+    adminController.editApprovalChain
+  )
+  .get(
+    requirePermission("approvalManagement_view"),
+    adminController.getApprovalChain
+  )
+  .delete(
+    requirePermission("approvalManagement_modify"),
+    adminController.deleteApprovalChain
+  );
+
+adminRoute.post(
+  "/user",
+  requirePermission("userManagement_modify"),
+  adminController.createUser
+);
 
 adminRoute
   .route("/user/:id")
-  .put(adminController.editUser)
-  .get(adminController.getUser)
-  .delete(adminController.deleteUser);
-
-adminRoute.post("/event", adminController.createEvent);
+  .put(requirePermission("userManagement_modify"), adminController.editUser)
+  .get(requirePermission("userManagement_view"), adminController.getUser)
+  .delete(
+    requirePermission("userManagement_modify"),
+    adminController.deleteUser
+  );
+
+adminRoute.post(
+  "/event",
+  requirePermission("eventManagement_modify"),
+  adminController.createEvent
+);
 
 adminRoute
   .route("/event/:id")
-  .get(adminController.getEvent)
-  .put(adminController.editEvent)
-  .delete(adminController.deleteEvent);
-
-adminRoute.get("/approval/:id", adminController.getApproval);
-adminRoute.put("/approval/:id/:action", adminController.updateApproval);
-adminRoute.get("/user/reports/:id", adminController.getUserReports);
-adminRoute.put("/reimburse/:id", adminController.reimburseReport);
-adminRoute.get("/users/filtered", adminController.getFilteredUsers);
-adminRoute.get("/finance/:id", adminController.getFinance);
-
-adminRoute.post("/transaction", adminController.createtransaction);
-adminRoute.get("/transaction", adminController.viewTransactionsAndDeductions);
-adminRoute.get("/transaction/:id", adminController.viewtransactionById);
-adminRoute.put("/transaction/:id", adminController.transactionMarkCompleted);
-
-adminRoute.post("/policy", adminController.createPolicy);
-adminRoute.get("/policy/:id", adminController.viewPolicyById);
-adminRoute.put("/policy/:id", adminController.updatePolicy);
-
-adminRoute.get("/wallet/:id", adminController.getWallet);
-adminRoute.get("/approvers", adminController.getApprovers);
-adminRoute.get("/dashboard", adminController.getDashboard);
-adminRoute.post("/deduct", adminController.deductWallet);
+  .get(requirePermission("eventManagement_view"), adminController.getEvent)
+  .put(requirePermission("eventManagement_modify"), adminController.editEvent)
+  .delete(
+    requirePermission("eventManagement_modify"),
+    adminController.deleteEvent
+  );
+
+adminRoute.get(
+  "/approval/:id",
+  requirePermission("approvalManagement_view"),
+  adminController.getApproval
+);
+adminRoute.put(
+  "/approval/:id/:action",
+  requirePermission("approvalManagement_modify"),
+  adminController.updateApproval
+);
+adminRoute.get(
+  "/user/reports/:id",
+  requirePermission("userManagement_view"),
+  adminController.getUserReports
+);
+adminRoute.put(
+  "/reimburse/:id",
+  requirePermission("financeManagement_modify"),
+  adminController.reimburseReport
+);
+adminRoute.post(
+  "/report/:id/comment",
+  requirePermission.any(...COMMENT_PERMISSIONS),
+  adminController.addReportComment
+);
+adminRoute.get("/notifications", adminController.getNotifications);
+adminRoute.get(
+  "/users/filtered",
+  requirePermission("userManagement_view"),
+  adminController.getFilteredUsers
+);
+adminRoute.get(
+  "/finance/:id",
+  requirePermission("financeManagement_view"),
+  adminController.getFinance
+);
+
+adminRoute.post(
+  "/transaction",
+  requirePermission("financeManagement_modify"),
+  adminController.createtransaction
+);
+adminRoute.get(
+  "/transaction",
+  requirePermission("financeManagement_view"),
+  adminController.viewTransactionsAndDeductions
+);
+adminRoute.get(
+  "/transaction/:id",
+  requirePermission("financeManagement_view"),
+  adminController.viewtransactionById
+);
+adminRoute.put(
+  "/transaction/:id",
+  requirePermission("financeManagement_modify"),
+  adminController.transactionMarkCompleted
+);
+
+adminRoute.post(
+  "/policy",
+  requirePermission("policyManagement_modify"),
+  adminController.createPolicy
+);
+adminRoute.get(
+  "/policy/:id",
+  requirePermission("policyManagement_view"),
+  adminController.viewPolicyById
+);
+adminRoute.post(
+  "/policy/simulate",
+  requirePermission("policyManagement_view"),
+  adminController.simulatePolicy
+);
+adminRoute.put(
+  "/policy/:id",
+  requirePermission("policyManagement_modify"),
+  adminController.updatePolicy
+);
+adminRoute.get(
+  "/policy/:id/history",
+  requirePermission("policyManagement_view"),
+  adminController.getPolicyHistory
+);
+adminRoute.get(
+  "/report/:id/policy",
+  requirePermission("policyManagement_view"),
+  adminController.getReportPolicies
+);
+
+adminRoute.get(
+  "/wallet/:id",
+  requirePermission("financeManagement_view"),
+  adminController.getWallet
+);
+adminRoute.get(
+  "/approvers",
+  requirePermission("userManagement_view"),
+  adminController.getApprovers
+);
+adminRoute.get(
+  "/dashboard",
+  requirePermission("approvalManagement_view"),
+  adminController.getDashboard
+);
+adminRoute.post(
+  "/deduct",
+  requirePermission("financeManagement_modify"),
+  adminController.deductWallet
+);
 
 module.exports = adminRoute;
@@ -8,18 +8,31 @@ const userRoute = express.Router();
 userRoute.post("/send-otp", userController.sendOtp);
 userRoute.post("/verify", userController.verifyUser);
 userRoute.post("/mpin", userController.mpinHandler);
+userRoute.post("/forgot-mpin", userController.forgotMpin);
+userRoute.post("/reset-mpin", userController.resetMpin);
 userRoute.get("/verified/:phone", userController.checkVerified);
+userRoute.post("/refresh-token", userController.refreshToken);
 
 // Protected Routes (Require Authentication)
 userRoute.use(authVerify);
 
+userRoute.post("/logout", userController.logout);
+
 userRoute.post("/expense", userController.createExpense);
 userRoute.post("/report", userController.createReport);
 userRoute.get("/list", userController.listController);
 
 userRoute.get("/expense/:id", userController.getExpense);
+userRoute.put("/expense/:id", userController.updateExpense);
+userRoute.delete("/expense/:id", userController.deleteExpense);
+userRoute.post("/expense/:id/duplicate", userController.duplicateExpense);
+userRoute.get("/expense/:id/analysis", userController.getExpenseAnalysis);
+userRoute.post("/expense/:id/analysis", userController.retryExpenseAnalysis);
 userRoute.get("/report/:id", userController.getReport);
 userRoute.put("/report/:id", userController.updateReport);
+userRoute.put("/report/:id/recall", userController.recallReport);
+userRoute.put("/report/:id/resubmit", userController.resubmitReport);
+userRoute.post("/report/:id/comment", userController.addReportComment);
 userRoute.get("/category", userController.getCategory);
 
 userRoute.put("/change-mpin", userController.changeMpin);
@@ -29,8 +42,11 @@ userRoute.post("/event", userController.createEvent);
 userRoute.put("/event/:id", userController.updateEvent);
 
 userRoute.get("/wallet-used", userController.getWalletUsed);
+userRoute.get("/budget", userController.getBudget);
 userRoute.get("/approval/:id", userController.getApproval);
 userRoute.put("/approval/:id/:action", userController.updateApproval);
+userRoute.post("/delegation", userController.createDelegation);
+userRoute.delete("/delegation/:id", userController.cancelDelegation);
 
 userRoute.get("/finance/:id", userController.getFinance);
 userRoute.put("/reimburse/:id", userController.reimburseReport);
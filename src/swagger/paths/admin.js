@@ -54,11 +54,263 @@
  *               password:
  *                 type: string
  *                 example: "password123"
+ *               totpCode:
+ *                 type: string
+ *                 description: Authenticator code, required when two-factor is enabled
+ *                 example: "492039"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Recovery code, can be used instead of totpCode
+ *                 example: "a1b2-c3d4"
  *     responses:
  *       200:
  *         description: Login successful
  *       400:
  *         description: Bad request
+ *       401:
+ *         description: Invalid password or two-factor code required
+ *       403:
+ *         description: Password has expired
+ *       429:
+ *         description: Too many failed two-factor attempts, try again later
+ */
+
+/**
+ * @swagger
+ * /admin/refresh-token:
+ *   post:
+ *     summary: Refresh access token
+ *     description: API endpoint to exchange a refresh token for a new access and refresh token. A refresh token can only be used once.
+ *     tags:
+ *       - Admin
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "3f2c9a..."
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid refresh token
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/logout:
+ *   post:
+ *     summary: Logout
+ *     description: API endpoint to revoke the current session, or every session when all is true
+ *     tags:
+ *       - Admin
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               all:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Session has been revoked
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/forgot-password:
+ *   post:
+ *     summary: Forgot password
+ *     description: API endpoint to email a password reset link to an admin
+ *     tags:
+ *       - Admin
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "admin@example.com"
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the email is registered
+ *       400:
+ *         description: Email is required
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: API endpoint to set a new password using a reset token
+ *     tags:
+ *       - Admin
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: "5d41402abc4b2a76..."
+ *               password:
+ *                 type: string
+ *                 example: "N3w#Password"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token or password does not meet the policy
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/change-password:
+ *   put:
+ *     summary: Change password
+ *     description: API endpoint for a logged in admin to change their password. The admin's other sessions are logged out
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               oldPassword:
+ *                 type: string
+ *                 example: "password123"
+ *               newPassword:
+ *                 type: string
+ *                 example: "N3w#Password"
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Password does not meet the policy
+ *       401:
+ *         description: Invalid password
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/totp/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: API endpoint to generate a TOTP secret and otpauth URI for an authenticator app
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor setup started
+ *       400:
+ *         description: Two-factor is already enabled
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/totp/enable:
+ *   post:
+ *     summary: Enable two-factor
+ *     description: API endpoint to confirm two-factor setup with a code, returns one-time recovery codes
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled successfully
+ *       400:
+ *         description: Code is required or setup not started
+ *       401:
+ *         description: Invalid two-factor code
+ *       429:
+ *         description: Too many failed two-factor attempts, try again later
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/totp/disable:
+ *   post:
+ *     summary: Disable two-factor
+ *     description: API endpoint to disable two-factor using the password and a code or recovery code
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: "password123"
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2-c3d4"
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled successfully
+ *       400:
+ *         description: Password and a two-factor code are required
+ *       401:
+ *         description: Invalid password or two-factor code
+ *       429:
+ *         description: Too many failed two-factor attempts, try again later
+ *       500:
+ *         description: Internal Server Error
  */
 
 /**
@@ -225,7 +477,7 @@
  *         schema:
  *           type: string
  *         required: true
- *         description: Type of data to retrieve (e.g., admins, roles, tiers, users, approvals, approvers, finances, events, transactions, policy)
+ *         description: Type of data to retrieve (e.g., admins, roles, tiers, users, approvals, approvalChains, approvers, finances, events, transactions, policy)
  *       - in: query
  *         name: tier
  *         schema:
@@ -237,6 +489,12 @@
  *           type: string
  *         description: Status
  *       - in: query
+ *         name: versions
+ *         schema:
+ *           type: string
+ *           enum: [all]
+ *         description: For type policy, all to include retired policy versions. Only active and scheduled versions are listed otherwise
+ *       - in: query
  *         name: staffId
  *         schema:
  *           type: string
@@ -250,6 +508,25 @@
  *         description: Internal Server Error
  */
 
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     summary: Get permission catalog
+ *     description: API endpoint to list every permission a role can be granted
+ *     tags:
+ *       - Role
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions found
+ *       403:
+ *         description: You don't have permission to perform this action
+ *       500:
+ *         description: Internal Server Error
+ */
+
 /**
  * @swagger
  * /admin/role:
@@ -422,6 +699,36 @@
  *                     maxAmount:
  *                       type: number
  *                       example: 500
+ *                     limitType:
+ *                       type: string
+ *                       enum: [report, day, month, event, expense, night]
+ *                       description: What maxAmount limits, the category total of a report (default), of a day, of a month or of an event, a single expense, or a night of lodging
+ *                     multipliers:
+ *                       type: object
+ *                       description: Factors of maxAmount for expenses in and outside the METRO_LOCATIONS, 1 when left out
+ *                       properties:
+ *                         metro:
+ *                           type: number
+ *                           example: 1.5
+ *                         nonMetro:
+ *                           type: number
+ *                           example: 1
+ *                     status:
+ *                       type: boolean
+ *                       example: true
+ *               sla:
+ *                 type: object
+ *                 description: Approval SLA for reports of this tier, defaults come from SLA_REMINDER_HOURS, SLA_ESCALATION_HOURS and SLA_ESCALATION_ROLE
+ *                 properties:
+ *                   reminderHours:
+ *                     type: number
+ *                     example: 48
+ *                   escalationHours:
+ *                     type: number
+ *                     example: 96
+ *                   escalationRole:
+ *                     type: string
+ *                     description: Admin role that receives reports escalated past the last approval step
  *     responses:
  *       200:
  *         description: Tier created successfully
@@ -473,6 +780,36 @@
  *                     maxAmount:
  *                       type: number
  *                       example: 500
+ *                     limitType:
+ *                       type: string
+ *                       enum: [report, day, month, event, expense, night]
+ *                       description: What maxAmount limits, the category total of a report (default), of a day, of a month or of an event, a single expense, or a night of lodging
+ *                     multipliers:
+ *                       type: object
+ *                       description: Factors of maxAmount for expenses in and outside the METRO_LOCATIONS, 1 when left out
+ *                       properties:
+ *                         metro:
+ *                           type: number
+ *                           example: 1.5
+ *                         nonMetro:
+ *                           type: number
+ *                           example: 1
+ *                     status:
+ *                       type: boolean
+ *                       example: true
+ *               sla:
+ *                 type: object
+ *                 description: Approval SLA for reports of this tier, defaults come from SLA_REMINDER_HOURS, SLA_ESCALATION_HOURS and SLA_ESCALATION_ROLE
+ *                 properties:
+ *                   reminderHours:
+ *                     type: number
+ *                     example: 48
+ *                   escalationHours:
+ *                     type: number
+ *                     example: 96
+ *                   escalationRole:
+ *                     type: string
+ *                     description: Admin role that receives reports escalated past the last approval step
  *               status:
  *                 type: boolean
  *                 example: true
@@ -527,6 +864,162 @@
  *         description: Internal Server Error
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApprovalChainStep:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: "Department head"
+ *         approverType:
+ *           type: string
+ *           enum: [approver, user, role]
+ *           description: approver is the submitter's own approver, user a fixed approver and role any admin with the role
+ *         user:
+ *           type: string
+ *           description: Approver user ID, required when approverType is user
+ *         role:
+ *           type: string
+ *           description: Admin role ID, required when approverType is role
+ *         minLevel:
+ *           type: number
+ *           example: 3
+ *         maxLevel:
+ *           type: number
+ *         minAmount:
+ *           type: number
+ *           example: 10000
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *             example: "travel"
+ */
+
+/**
+ * @swagger
+ * /admin/approval-chain:
+ *   post:
+ *     summary: Create an approval chain
+ *     description: API endpoint to create an approval chain. Steps only apply to a report when their tier level, amount and category conditions match. Activating a chain deactivates the others.
+ *     tags:
+ *       - Approval
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Default chain"
+ *               description:
+ *                 type: string
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ApprovalChainStep'
+ *               status:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Approval chain created successfully
+ *       400:
+ *         description: Bad request
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/approval-chain/{id}:
+ *   put:
+ *     summary: Update an approval chain
+ *     description: API endpoint to update an approval chain. Reports already submitted keep their steps.
+ *     tags:
+ *       - Approval
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the approval chain to update
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ApprovalChainStep'
+ *               status:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Approval chain updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Approval chain not found
+ *   get:
+ *     summary: Get an approval chain
+ *     description: API endpoint to get an approval chain
+ *     tags:
+ *       - Approval
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the approval chain to retrieve
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval chain found
+ *       404:
+ *         description: Approval chain not found
+ *   delete:
+ *     summary: Delete an approval chain
+ *     description: API endpoint to delete an approval chain
+ *     tags:
+ *       - Approval
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the approval chain to delete
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval chain deleted successfully
+ *       404:
+ *         description: Approval chain not found
+ *       500:
+ *         description: Internal Server Error
+ */
+
 /**
  * @swagger
  * /admin/user:
@@ -855,7 +1348,7 @@
  * /admin/approval/{id}:
  *   get:
  *     summary: Get approval details
- *     description: API endpoint for fetching approval details based on approval ID
+ *     description: API endpoint for fetching approval details based on approval ID, including the approval steps and the SLA reminder and escalation history. Each expense includes the fields read from its receipt and the mismatches between the claim and the receipt (amount, date, category), the policy check (policyResult pass, warn or block, and policyViolations), and possibleDuplicate with the other expenses that look like the same bill. duplicatesAcknowledged tells whether the submitter reported the report despite the duplicate warning
  *     tags:
  *       - Approval
  *     parameters:
@@ -878,12 +1371,36 @@
  *         description: Internal Server Error
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExpenseDecision:
+ *       type: object
+ *       properties:
+ *         expense:
+ *           type: string
+ *           example: "667275cda0521a39e214cd6c"
+ *         decision:
+ *           type: string
+ *           enum: [approve, reject, reduce, info]
+ *           description: reduce approves a lower amount, info returns the report to the submitter with a question about the expense
+ *         amount:
+ *           type: number
+ *           description: Approved amount, only for reduce. Has to be less than the claimed amount, or what an earlier step approved
+ *           example: 1500
+ *         reason:
+ *           type: string
+ *           description: Required unless the decision is approve
+ *           example: "Only one night of the stay is covered"
+ */
+
 /**
  * @swagger
  * /admin/approval/{id}/{action}:
  *   put:
  *     summary: Update approval status
- *     description: API endpoint for updating the approval status of a report and associated expenses
+ *     description: API endpoint for deciding on a report per expense. Once the last step decides, the report is approved when any expense was approved, and its approved amount is the sum of the approved expense amounts.
  *     tags:
  *       - Approval
  *     parameters:
@@ -898,8 +1415,8 @@
  *         required: true
  *         schema:
  *           type: string
- *           enum: [approve, reject]
- *         description: Action to perform (approve or reject)
+ *           enum: [approve, reject, review]
+ *         description: approve or reject decides every expense of the report the same way, review takes a decision per expense
  *     requestBody:
  *       required: true
  *       content:
@@ -907,18 +1424,26 @@
  *           schema:
  *             type: object
  *             properties:
+ *               decisions:
+ *                 type: array
+ *                 description: Required for review, one decision per expense still under review
+ *                 items:
+ *                   $ref: '#/components/schemas/ExpenseDecision'
+ *               reason:
+ *                 type: string
+ *                 example: "Hotel bill is above the tier limit"
  *               expenses:
  *                 type: array
+ *                 description: Legacy, instead of decisions. With reject the expenses to reject, the others are approved. With approve every expense under review
  *                 items:
  *                   type: string
- *                   example: "667275cda0521a39e214cd6c"
  *     responses:
  *       200:
- *         description: Approval updated successfully
+ *         description: Approval updated successfully, forwarded to the next approver when the approval chain has further steps, or returned to the submitter with status info_requested when more information was requested
  *       400:
- *         description: Approval ID is required or Approval update failed
+ *         description: Invalid input, the decisions don't cover every expense under review, or the legacy expenses don't match the expenses under review
  *       403:
- *         description: You don't have permission to perform this action
+ *         description: No permission, or the current step is assigned to another role
  *       404:
  *         description: Approval not found
  *       500:
@@ -958,7 +1483,7 @@
  * /admin/reimburse/{id}:
  *   put:
  *     summary: Reimburse a report
- *     description: API endpoint to update a report's status to reimbursed
+ *     description: API endpoint to update a report's status to reimbursed. Only the approved amount of the report is paid out
  *     tags:
  *       - Approval
  *     parameters:
@@ -985,10 +1510,89 @@
  *       200:
  *         description: Reimbursed successfully
  *       400:
- *         description: Approval ID is required or Reimbursed failed
+ *         description: Approval ID is required, the amount is more than the approved amount, or Reimbursed failed
+ *       409:
+ *         description: Only approved reports can be reimbursed
+ *       500:
+ *         description: Internal Server Error
+ */
+/**
+ * @swagger
+ * /admin/report/{id}/comment:
+ *   post:
+ *     summary: Comment on a report
+ *     description: API endpoint to add a comment to a report, or to one of its expenses. A comment can reply to an existing thread, and mention the submitter or approvers of the report, or admins who review or pay out reports in its location. The report's participants are notified, admins among them too, and comments are included in the report, approval and finance details.
+ *     tags:
+ *       - Report
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the report
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: "Can you attach the hotel invoice?"
+ *               expense:
+ *                 type: string
+ *                 description: Expense of the report the comment is about
+ *                 example: "667275cda0521a39e214cd6c"
+ *               parent:
+ *                 type: string
+ *                 description: Comment to reply to
+ *                 example: "667275cda0521a39e214cd6d"
+ *               mentions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: "667275cda0521a39e214cd6e"
+ *     responses:
+ *       200:
+ *         description: Comment added
+ *       400:
+ *         description: Invalid input, the expense is not part of the report, or a mentioned user can't see the report
+ *       403:
+ *         description: Neither the approvalManagement_view nor the financeManagement_view permission
+ *       404:
+ *         description: Report or parent comment not found
  *       500:
  *         description: Internal Server Error
  */
+
+/**
+ * @swagger
+ * /admin/notifications:
+ *   get:
+ *     summary: Get notifications
+ *     description: API endpoint to list the unread comment and mention notifications of the admin, newest first. Listed notifications are marked as read.
+ *     tags:
+ *       - Report
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: pageNo
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number, 10 notifications per page
+ *     responses:
+ *       200:
+ *         description: Notifications found
+ *       500:
+ *         description: Internal Server Error
+ */
+
 /**
  * @swagger
  * /admin/users/filtered:
@@ -1063,7 +1667,7 @@
  * /admin/policy:
  *   post:
  *     summary: Create a new policy
- *     description: API endpoint for creating a new policy.
+ *     description: API endpoint for creating a new policy. Expenses mapped into a report are checked against the score minimums and rules of the policy for the submitter's tier, location and user type, each gets a pass, warn or block result. Reports with blocked expenses can be drafted but not sent for approval.
  *     tags:
  *       - Policy
  *     requestBody:
@@ -1093,20 +1697,40 @@
  *                 type: string
  *                 example: "This policy covers all reimbursement procedures."
  *               accuracy:
- *                 type: string
- *                 example: "High"
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 6
+ *                 description: Minimum accuracy score of the bill analysis
  *               authenticity:
- *                 type: string
- *                 example: "Verified"
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 7
  *               compliance:
- *                 type: string
- *                 example: "Compliant with local laws"
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 5
  *               relevance:
- *                 type: string
- *                 example: "Relevant to current business needs"
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 5
  *               completeness:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 5
+ *               scoreAction:
  *                 type: string
- *                 example: "Complete as per internal guidelines"
+ *                 enum: [warn, block]
+ *                 example: "warn"
+ *                 description: What an expense scoring below a minimum gets
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PolicyRule'
  *     responses:
  *       201:
  *         description: Policy created successfully
@@ -1116,6 +1740,56 @@
  *         description: Internal Server Error
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PolicyRule:
+ *       type: object
+ *       required:
+ *         - type
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [categoryCap, weekend, holiday, receiptRequired, allowedLocations]
+ *         action:
+ *           type: string
+ *           enum: [warn, block]
+ *           default: warn
+ *         category:
+ *           type: string
+ *           description: categoryCap only, the category that is capped
+ *         maxAmount:
+ *           type: number
+ *           description: categoryCap only, most a single expense of the category may claim
+ *         days:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           description: weekend only, days of the week (0 is Sunday) expenses may not fall on. Saturday and Sunday when left out
+ *         dates:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: date
+ *           description: holiday only, dates expenses may not fall on
+ *         amount:
+ *           type: number
+ *           description: receiptRequired only, expenses above this amount need a bill image
+ *         locations:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: allowedLocations only, the only locations expenses may be made at
+ *       example:
+ *         type: categoryCap
+ *         action: block
+ *         category: Food
+ *         maxAmount: 1500
+ */
+
 /**
  * @swagger
  * /admin/policy/{id}:
@@ -1146,8 +1820,8 @@
  * @swagger
  * /admin/policy/{id}:
  *   put:
- *     summary: Update an existing policy
- *     description: API endpoint for updating a policy based on its ID.
+ *     summary: Add a new version of a policy
+ *     description: Policies are immutable, the changes are saved as a new version of the policy that activates on activationDate (today when left out) and retires the version it replaces from then on. Only the latest version can be changed, and not with an activation date in the past or before the replaced version.
  *     tags:
  *       - Policy
  *     parameters:
@@ -1184,25 +1858,191 @@
  *                 type: string
  *                 example: "Updated policy details."
  *               accuracy:
- *                 type: string
- *                 example: "High"
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 6
+ *                 description: Minimum accuracy score of the bill analysis
  *               authenticity:
- *                 type: string
- *                 example: "Verified"
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 7
  *               compliance:
- *                 type: string
- *                 example: "Compliant with updated regulations"
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 5
  *               relevance:
- *                 type: string
- *                 example: "Still relevant"
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 5
  *               completeness:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 example: 5
+ *               scoreAction:
+ *                 type: string
+ *                 enum: [warn, block]
+ *                 example: "warn"
+ *                 description: What an expense scoring below a minimum gets
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PolicyRule'
+ *     responses:
+ *       201:
+ *         description: Policy version created
+ *       400:
+ *         description: Invalid input or activation date
+ *       404:
+ *         description: Policy not found
+ *       409:
+ *         description: Only the latest version of a policy can be changed
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/policy/simulate:
+ *   post:
+ *     summary: Simulate a policy or tier change
+ *     description: Replays the reports (except drafts) dated between from and to of the users a draft policy or draft tier categories are for, once with the policies and tier categories as they were and once with the drafts. Returns how many reports pass, warn or block either way, the reports that would flip from pass to a violation or the other way round, and the claimed and approved amounts the drafts would have blocked. The draft policy is taken to have been in force over the whole range, replacing the versions of the policy given as _id. The range can cover at most SIMULATION_MAX_DAYS days (366 by default), only the latest SIMULATION_MAX_REPORTS reports (2000 by default) are replayed, truncated being true when more fell in the range, and the flipped and cleared lists show the first SIMULATION_LIST_LIMIT reports (50 by default) of their count. Nothing is saved.
+ *     tags:
+ *       - Policy
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-01-01"
+ *               to:
  *                 type: string
- *                 example: "Complete"
+ *                 format: date
+ *                 example: "2024-06-30"
+ *               policy:
+ *                 type: object
+ *                 description: The draft policy, with the fields of a policy. With _id only the changes to that policy version are needed
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                     example: "66c5a1e0f1d2a3b4c5d6e7f8"
+ *                   accuracy:
+ *                     type: number
+ *                     example: 7
+ *                   rules:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/PolicyRule'
+ *               tier:
+ *                 type: object
+ *                 description: Draft categories of a tier. Categories without status true count as disabled, as on the tier
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                     example: "64a55c6f3f8b9c001c8b4567"
+ *                   categories:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         title:
+ *                           type: string
+ *                           example: "food"
+ *                         maxAmount:
+ *                           type: number
+ *                           example: 1500
+ *                         limitType:
+ *                           type: string
+ *                           enum: [report, day, month, event, expense, night]
+ *                         multipliers:
+ *                           type: object
+ *                           properties:
+ *                             metro:
+ *                               type: number
+ *                             nonMetro:
+ *                               type: number
+ *                         status:
+ *                           type: boolean
+ *                           example: true
  *     responses:
  *       200:
- *         description: Policy updated successfully
+ *         description: Policy simulated
  *       400:
- *         description: Policy update failed or Policy not found
+ *         description: Invalid input or draft policy, a policy or tier _id that is not an ObjectId, or a range longer than SIMULATION_MAX_DAYS
+ *       403:
+ *         description: You don't have permission to perform this action
+ *       404:
+ *         description: Policy or tier not found
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/policy/{id}/history:
+ *   get:
+ *     summary: Get the versions of a policy
+ *     description: API endpoint listing every version of the policy, oldest first, with the date it activated, the date the next version retired it, and whether it is scheduled, active or retired.
+ *     tags:
+ *       - Policy
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of any version of the policy
+ *     responses:
+ *       200:
+ *         description: Policy history found
+ *       403:
+ *         description: You don't have permission to perform this action
+ *       404:
+ *         description: Policy not found
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /admin/report/{id}/policy:
+ *   get:
+ *     summary: Get the policy versions that applied to a report
+ *     description: API endpoint for audits showing, for each expense of the report, the policy version it was checked against when it was mapped (policySource check) or, for expenses mapped before policy checks, the version in force on the expense date (policySource date), together with the result of the check.
+ *     tags:
+ *       - Policy
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the report
+ *     responses:
+ *       200:
+ *         description: Report policies found
+ *       403:
+ *         description: You don't have permission to perform this action
+ *       404:
+ *         description: Report not found
  *       500:
  *         description: Internal Server Error
  */
@@ -23,6 +23,8 @@
  *         description: Bad request
  *       404:
  *         description: User not found
+ *       429:
+ *         description: OTP requested too soon or user is locked out
  *       500:
  *         description: Internal Server Error
  */
@@ -50,11 +52,13 @@
  *                 example: "example@gmail.com"
  *     responses:
  *       200:
- *         description: User verified successfully
+ *         description: User verified successfully, returns an mpinToken when the user has no MPIN yet
  *       400:
- *         description: Bad request
+ *         description: Invalid or expired OTP
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many failed attempts
  *       500:
  *         description: Internal Server Error
  */
@@ -80,13 +84,147 @@
  *               email:
  *                 type: string
  *                 example: "example@gmail.com"
+ *               mpinToken:
+ *                 type: string
+ *                 description: One-time token returned by /user/verify, required when setting the first MPIN
+ *                 example: "9b1f4c..."
  *     responses:
  *       200:
  *         description: User mpin added successfully
  *       400:
  *         description: Bad request
+ *       401:
+ *         description: Invalid MPIN
+ *       403:
+ *         description: MPIN setup requires a fresh OTP verification
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: Too many failed attempts
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /user/forgot-mpin:
+ *   post:
+ *     summary: Forgot MPIN
+ *     description: API endpoint to send an OTP for resetting the user's MPIN
+ *     tags:
+ *       - User
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "example@gmail.com"
+ *     responses:
+ *       200:
+ *         description: OTP sent successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: OTP requested too soon or user is locked out
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /user/reset-mpin:
+ *   post:
+ *     summary: Reset MPIN
+ *     description: API endpoint to set a new MPIN using the OTP sent by /user/forgot-mpin
+ *     tags:
+ *       - User
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "example@gmail.com"
+ *               otp:
+ *                 type: string
+ *                 example: "4821"
+ *               mpin:
+ *                 type: string
+ *                 example: "1234"
+ *     responses:
+ *       200:
+ *         description: MPIN reset successfully
+ *       400:
+ *         description: Invalid or expired OTP
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many failed attempts
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /user/refresh-token:
+ *   post:
+ *     summary: Refresh access token
+ *     description: API endpoint to exchange a refresh token for a new access and refresh token. A refresh token can only be used once.
+ *     tags:
+ *       - User
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "3f2c9a..."
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid refresh token
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /user/logout:
+ *   post:
+ *     summary: Logout
+ *     description: API endpoint to revoke the current session, or every session when all is true
+ *     tags:
+ *       - User
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               all:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Session has been revoked
  *       500:
  *         description: Internal Server Error
  */
@@ -126,6 +264,10 @@
  *               category:
  *                 type: string
  *                 example: "Food"
+ *               nights:
+ *                 type: integer
+ *                 description: Nights of a lodging expense, for per-night category limits
+ *                 example: 2
  *               description:
  *                 type: string
  *                 example: "Lunch with the marketing team"
@@ -183,11 +325,17 @@
  *                 items:
  *                   type: string
  *                   example: "667275cda0521a39e214cd6c"
+ *               acknowledgeDuplicates:
+ *                 type: boolean
+ *                 example: false
+ *                 description: Report the expenses even though some look like bills that were already claimed
  *     responses:
  *       200:
  *         description: Report created successfully
  *       400:
- *         description: Invalid input or report creation failed
+ *         description: Invalid input, report creation failed, the expenses exceed a limit of their tier category or the tier allowance of the period, or some expenses break a blocking rule of the policy on a report sent for approval. The blocked expenses are returned
+ *       409:
+ *         description: Some expenses look like bills that were already claimed, by image or by vendor, invoice number, amount and date. The candidates are returned, submit again with acknowledgeDuplicates to report them anyway
  *       500:
  *         description: Internal Server Error
  */
@@ -197,7 +345,7 @@
  * /user/list:
  *   get:
  *     summary: Get reports, expenses, events or notifications
- *     description: API endpoint to get existing reports, expenses, events, approvals or notifications based on query type
+ *     description: API endpoint to get existing reports, expenses, events, approvals, delegations or notifications based on query type
  *     tags:
  *       - List
  *     parameters:
@@ -206,7 +354,7 @@
  *         schema:
  *           type: string
  *         required: true
- *         description: Type of data to retrieve (reports, expenses, events, approvals or notifications)
+ *         description: Type of data to retrieve (reports, expenses, events, approvals, delegations or notifications)
  *     responses:
  *       200:
  *         description: Data retrieved successfully
@@ -239,6 +387,81 @@
  *         description: Expense not found
  *       500:
  *         description: Internal Server Error
+ *   put:
+ *     summary: Update an expense
+ *     description: API endpoint to edit a draft expense, or a rejected expense being corrected before its report is resubmitted. When the images change the bill analysis runs again
+ *     tags:
+ *       - Expense
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the expense to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *                 format: date-time
+ *               location:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               nights:
+ *                 type: integer
+ *               description:
+ *                 type: string
+ *               image:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Expense updated successfully
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Expense not found
+ *       409:
+ *         description: The expense is not a draft, or a rejected expense of a report being corrected
+ *       500:
+ *         description: Internal Server Error
+ *   delete:
+ *     summary: Delete an expense
+ *     description: API endpoint to delete a draft expense, or a rejected expense of a report being corrected. The expense is taken out of that report
+ *     tags:
+ *       - Expense
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the expense to delete
+ *     responses:
+ *       200:
+ *         description: Expense deleted successfully
+ *       404:
+ *         description: Expense not found
+ *       409:
+ *         description: The expense is not a draft, or a rejected expense of a report being corrected
+ *       500:
+ *         description: Internal Server Error
  *
  * /user/report/{id}:
  *   get:
@@ -263,12 +486,115 @@
  *         description: Internal Server Error
  */
 
+/**
+ * @swagger
+ * /user/expense/{id}/duplicate:
+ *   post:
+ *     summary: Duplicate an expense
+ *     description: API endpoint to create a new draft expense from one of the user's expenses. Fields in the body replace the copied ones. Images are only set when sent, and are analysed like on a new expense
+ *     tags:
+ *       - Expense
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the expense to copy
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *                 format: date-time
+ *               location:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               nights:
+ *                 type: integer
+ *               description:
+ *                 type: string
+ *               image:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Expense duplicated successfully
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Expense not found
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /user/expense/{id}/analysis:
+ *   get:
+ *     summary: Get the bill analysis of an expense
+ *     description: API endpoint to poll the background bill analysis of an expense. The status is queued, processing, done or failed. Once it is done the scores, the receipt fields (vendor, invoice number, date, total, tax, line items) and any mismatches between the claim and the receipt are returned
+ *     tags:
+ *       - Expense
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the expense
+ *     responses:
+ *       200:
+ *         description: Expense analysis found
+ *       404:
+ *         description: Expense not found
+ *       500:
+ *         description: Internal Server Error
+ *   post:
+ *     summary: Re-run the bill analysis of an expense
+ *     description: API endpoint to queue the bill analysis of an expense again, e.g. after it failed
+ *     tags:
+ *       - Expense
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the expense
+ *     responses:
+ *       200:
+ *         description: Bill analysis queued
+ *       400:
+ *         description: Expense does not have an image
+ *       404:
+ *         description: Expense not found
+ *       409:
+ *         description: Bill analysis is already queued or processing
+ *       500:
+ *         description: Internal Server Error
+ */
+
 /**
  * @swagger
  * /user/category:
  *   get:
  *     summary: Get User Categories
- *     description: API endpoint to get categories for a user based on their tier
+ *     description: API endpoint to get the enabled categories of the user's tier with their limits. limitType tells whether maxAmount limits the category total of a report, a day, a month or an event, a single expense or a night of lodging. limit is maxAmount with the metro or non-metro multiplier for the user's location, expenses in other locations get the multiplier of theirs.
  *     tags:
  *       - Category
  *     responses:
@@ -399,7 +725,7 @@
  * /user/report/{id}:
  *   put:
  *     summary: Update a report
- *     description: API endpoint to update a report's details
+ *     description: API endpoint to update a drafted or rejected report, or one the reviewer asked questions about. Setting status to pending submits it for approval. The expenses are checked against the policy again, a submission with blocked expenses fails with 400.
  *     tags:
  *       - Report
  *     parameters:
@@ -415,7 +741,27 @@
  *         application/json:
  *           schema:
  *             type: object
- *             additionalProperties: true
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               reportDate:
+ *                 type: string
+ *                 format: date
+ *               expenses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               location:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               event:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [drafted, pending]
  *             example:
  *               title: "Updated Report Title"
  *               description: "Updated report description"
@@ -423,9 +769,134 @@
  *       200:
  *         description: Report updated successfully
  *       400:
- *         description: Report ID is required
+ *         description: Report ID is required, invalid input, or a submitted report exceeds the tier allowance of the period. The report is left unchanged
+ *       403:
+ *         description: Expenses belong to another user, or the status change is not allowed
  *       404:
  *         description: Report not found
+ *       409:
+ *         description: The report is not drafted, rejected or waiting on answers, or the status transition is not allowed
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /user/report/{id}/recall:
+ *   put:
+ *     summary: Recall a report
+ *     description: API endpoint for the submitter to take a pending report back into drafts. Its expenses go back to draft and can be edited again
+ *     tags:
+ *       - Report
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the report to recall
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Missing hotel bill"
+ *     responses:
+ *       200:
+ *         description: Report recalled successfully
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Only pending reports can be recalled
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /user/report/{id}/resubmit:
+ *   put:
+ *     summary: Resubmit a rejected report
+ *     description: API endpoint to send a rejected report, or one the reviewer asked questions about (info_requested), back for approval as a new revision. Approvers see what changed since the last reviewed revision in the approval details. The expenses are checked against the policy again, blocked expenses keep the report from being resubmitted.
+ *     tags:
+ *       - Report
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the report to resubmit
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Corrected the taxi amount"
+ *     responses:
+ *       200:
+ *         description: Report resubmitted
+ *       400:
+ *         description: Some expenses break a blocking rule of the policy, or the report exceeds the tier allowance of the period
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Only rejected reports, or reports with questions, can be resubmitted
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /user/report/{id}/comment:
+ *   post:
+ *     summary: Comment on a report
+ *     description: API endpoint to add a comment to a report, or to one of its expenses. A comment can reply to an existing thread, and mention the submitter or approvers of the report, or admins who review or pay out reports in its location. The report's participants are notified, admins among them too, and comments are included in the report, approval and finance details.
+ *     tags:
+ *       - Report
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the report
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: "Can you attach the hotel invoice?"
+ *               expense:
+ *                 type: string
+ *                 description: Expense of the report the comment is about
+ *                 example: "667275cda0521a39e214cd6c"
+ *               parent:
+ *                 type: string
+ *                 description: Comment to reply to
+ *                 example: "667275cda0521a39e214cd6d"
+ *               mentions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: "667275cda0521a39e214cd6e"
+ *     responses:
+ *       200:
+ *         description: Comment added
+ *       400:
+ *         description: Invalid input, the expense is not part of the report, or a mentioned user can't see the report
+ *       404:
+ *         description: Report or parent comment not found
  *       500:
  *         description: Internal Server Error
  */
@@ -447,6 +918,30 @@
  *         description: Internal Server Error
  */
 
+/**
+ * @swagger
+ * /user/budget:
+ *   get:
+ *     summary: Get remaining allowance
+ *     description: API endpoint to get what the user has left of their tier's allowance in a budget period, in total and per category. Categories only have a limit of the period when they are limited per month. Expenses count by their date, as committed while their report is pending, then as approved or reimbursed.
+ *     tags:
+ *       - Expense
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: A date in the budget period, today when left out
+ *     responses:
+ *       200:
+ *         description: Budget retrieved successfully
+ *       400:
+ *         description: Invalid date
+ *       500:
+ *         description: Internal Server Error
+ */
+
 /**
  * @swagger
  * /user/event/{id}:
@@ -503,7 +998,7 @@
  * /user/approval/{id}:
  *   get:
  *     summary: Get approval details
- *     description: API endpoint for fetching approval details based on approval ID
+ *     description: API endpoint for fetching approval details based on approval ID. Each expense includes the fields read from its receipt and the mismatches between the claim and the receipt (amount, date, category)
  *     tags:
  *       - Approval
  *     parameters:
@@ -519,7 +1014,7 @@
  *       400:
  *         description: Approval ID is required
  *       403:
- *         description: You don't have permission to perform this action
+ *         description: Caller is not an approver, not the approver of the report owner, or owns the report
  *       404:
  *         description: Report not found
  *       500:
@@ -531,7 +1026,7 @@
  * /user/approval/{id}/{action}:
  *   put:
  *     summary: Update approval status
- *     description: API endpoint for updating the approval status of a report and associated expenses
+ *     description: API endpoint for deciding on a report per expense. Once the last step decides, the report is approved when any expense was approved, and its approved amount is the sum of the approved expense amounts.
  *     tags:
  *       - Approval
  *     parameters:
@@ -546,8 +1041,8 @@
  *         required: true
  *         schema:
  *           type: string
- *           enum: [approve, reject]
- *         description: Action to perform (approve or reject)
+ *           enum: [approve, reject, review]
+ *         description: approve or reject decides every expense of the report the same way, review takes a decision per expense
  *     requestBody:
  *       required: true
  *       content:
@@ -555,30 +1050,102 @@
  *           schema:
  *             type: object
  *             properties:
+ *               decisions:
+ *                 type: array
+ *                 description: Required for review, one decision per expense still under review
+ *                 items:
+ *                   $ref: '#/components/schemas/ExpenseDecision'
+ *               reason:
+ *                 type: string
+ *                 example: "Hotel bill is above the tier limit"
  *               expenses:
  *                 type: array
+ *                 description: Legacy, instead of decisions. With reject the expenses to reject, the others are approved. With approve every expense under review
  *                 items:
  *                   type: string
- *                   example: "667275cda0521a39e214cd6c"
  *     responses:
  *       200:
- *         description: Approval updated successfully
+ *         description: Approval updated successfully, forwarded to the next approver when the approval chain has further steps, or returned to the submitter with status info_requested when more information was requested
  *       400:
- *         description: Approval ID is required or Approval update failed
+ *         description: Invalid input, the decisions don't cover every expense under review, or the legacy expenses don't match the expenses under review
  *       403:
- *         description: You don't have permission to perform this action
+ *         description: Caller is not an approver, owns the report, or is not the approver (or their delegate) of the current step
  *       404:
  *         description: Approval not found
  *       500:
  *         description: Internal Server Error
  */
 
+/**
+ * @swagger
+ * /user/delegation:
+ *   post:
+ *     summary: Delegate approvals
+ *     description: API endpoint for an approver to hand their approvals to another approver for a date range. The delegate sees and decides the approver's reports in that period, and each decision records the approver it was taken on behalf of.
+ *     tags:
+ *       - Approval
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               delegate:
+ *                 type: string
+ *                 example: "667275cda0521a39e214cd6c"
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-07-01"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-07-10"
+ *               reason:
+ *                 type: string
+ *                 example: "Annual leave"
+ *     responses:
+ *       200:
+ *         description: Delegation created successfully
+ *       400:
+ *         description: Invalid input, invalid delegate or overlapping delegation
+ *       403:
+ *         description: You don't have permission to perform this action
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /user/delegation/{id}:
+ *   delete:
+ *     summary: Cancel a delegation
+ *     description: API endpoint for an approver to cancel one of their delegations
+ *     tags:
+ *       - Approval
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the delegation to cancel
+ *     responses:
+ *       200:
+ *         description: Delegation cancelled successfully
+ *       404:
+ *         description: Delegation not found
+ *       500:
+ *         description: Internal Server Error
+ */
+
 /**
  * @swagger
  * /user/reimburse/{id}:
  *   put:
  *     summary: Reimburse a report
- *     description: API endpoint to update a report's status to reimbursed
+ *     description: API endpoint to update a report's status to reimbursed. Only the approved amount of the report is paid out
  *     tags:
  *       - Approval
  *     parameters:
@@ -588,11 +1155,28 @@
  *         schema:
  *           type: string
  *         description: ID of the report to reimburse
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount deducted from the wallet, at most the approved amount
+ *                 example: 53
+ *               descriptionFinance:
+ *                 type: string
+ *                 example: "Example"
  *     responses:
  *       200:
  *         description: Reimbursed successfully
  *       400:
- *         description: Approval ID is required or Reimbursed failed
+ *         description: Approval ID is required, the amount is more than the approved amount, or Reimbursed failed
+ *       403:
+ *         description: The caller is not an approver of this report or their delegate
+ *       409:
+ *         description: Only approved reports can be reimbursed
  *       500:
  *         description: Internal Server Error
  */
@@ -649,14 +1233,21 @@
  * /user/policy:
  *   get:
  *     summary: Retrieve user policy based on user tier
- *     description: This endpoint allows users to retrieve the policy associated with their tier.
+ *     description: This endpoint allows users to retrieve the policy version that applies to them, by their tier, location and user type, on the given date.
  *     tags:
  *       - Policy
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date the policy applies on, today when left out
  *     responses:
  *       200:
  *         description: Policy retrieved successfully
  *       400:
- *         description: Policy not found
+ *         description: Invalid date or policy not found
  *       500:
  *         description: Internal Server Error
  */
@@ -1,10 +1,12 @@
+const crypto = require("crypto");
+
 exports.generateOTP = (length) => {
   const characters = "0123456789";
   const charactersLength = characters.length;
   let otp = "";
 
   for (let i = 0; i < length; i++) {
-    const randomIndex = Math.floor(Math.random() * charactersLength);
+    const randomIndex = crypto.randomInt(charactersLength);
     otp += characters.charAt(randomIndex);
   }
 
@@ -1,9 +1,23 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 
-exports.generateToken = (userId, roleId) => {
+const { JWT_EXPIRES_IN = "15m" } = process.env;
+
+exports.generateToken = (userId, roleId, sessionId) => {
   const payload = {
     roleId,
     userId,
+    sessionId,
   };
-  return jwt.sign({ payload }, process.env.JWT_SECRET, {});
+  return jwt.sign({ payload }, process.env.JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN,
+  });
+};
+
+exports.generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString("hex");
+};
+
+exports.hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
 };
@@ -2,7 +2,8 @@ require("dotenv").config();
 const nodemailer = require("nodemailer");
 const { NODE_MAIL, NODE_PASS } = process.env;
 
-const sendMail = async (to, otp) => {
+//* `content` ({ subject, text }) replaces the default OTP mail when given
+const sendMail = async (to, otp, content) => {
   try {
     const transporter = nodemailer.createTransport({
       service: "gmail",
@@ -24,6 +25,7 @@ const sendMail = async (to, otp) => {
       Xpensea\n
       info@xpensea.com\n
       xpensea.com`,
+      ...content,
     };
 
     return new Promise((resolve, reject) => {
@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+      value &= (1 << bits) - 1;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+//* HOTP as defined in RFC 4226, truncated to TOTP_DIGITS
+const hotp = (key, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return (code % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+exports.generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+exports.totpUri = (secret, account, issuer = "Xpensea") => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(
+    issuer
+  )}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+};
+
+exports.generateTotp = (secret, time = Date.now()) => {
+  return hotp(base32Decode(secret), Math.floor(time / 1000 / TOTP_PERIOD));
+};
+
+/* Checks a TOTP code (RFC 6238) allowing `window` steps of clock drift either way. Returns the
+matched time step so callers can reject a code that was already used, or null when no step matches. */
+exports.verifyTotp = (secret, token, window = 1, time = Date.now()) => {
+  if (!secret || !/^\d+$/.test(String(token))) {
+    return null;
+  }
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(time / 1000 / TOTP_PERIOD);
+  const given = Buffer.from(String(token).padStart(TOTP_DIGITS, "0"));
+
+  for (let i = -window; i <= window; i++) {
+    const expected = Buffer.from(hotp(key, currentStep + i));
+    if (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(expected, given)
+    ) {
+      return currentStep + i;
+    }
+  }
+  return null;
+};
@@ -1,4 +1,8 @@
 const Joi = require("joi");
+const { PERMISSION_KEYS } = require("../config/permissions");
+
+//* A MongoDB ObjectId, for ids that are looked up as given
+const objectId = Joi.string().hex().length(24);
 
 exports.createAdminSchema = Joi.object({
   name: Joi.string().required(),
@@ -22,7 +26,7 @@ exports.editAdminSchema = Joi.object({
 exports.createRoleSchema = Joi.object({
   roleName: Joi.string().required(),
   description: Joi.string(),
-  permissions: Joi.array(),
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSION_KEYS)),
   locationAccess: Joi.array(),
   status: Joi.boolean(),
 });
@@ -30,27 +34,54 @@ exports.createRoleSchema = Joi.object({
 exports.editRoleSchema = Joi.object({
   roleName: Joi.string(),
   description: Joi.string(),
-  permissions: Joi.array(),
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSION_KEYS)),
   locationAccess: Joi.array(),
   status: Joi.boolean(),
 });
 
+const tierSlaSchema = Joi.object({
+  reminderHours: Joi.number().min(1),
+  escalationHours: Joi.number().min(1),
+  escalationRole: Joi.string(),
+});
+
+const tierCategorySchema = Joi.object({
+  _id: Joi.string(),
+  title: Joi.string().required(),
+  maxAmount: Joi.number().min(0),
+  limitType: Joi.string().valid(
+    "report",
+    "day",
+    "month",
+    "event",
+    "expense",
+    "night"
+  ),
+  multipliers: Joi.object({
+    metro: Joi.number().min(0),
+    nonMetro: Joi.number().min(0),
+  }),
+  status: Joi.boolean(),
+});
+
 exports.createTierSchema = Joi.object({
   title: Joi.string().required(),
   activationDate: Joi.date().required(),
-  categories: Joi.array(),
+  categories: Joi.array().items(tierCategorySchema),
   status: Joi.boolean(),
   totalAmount: Joi.number(),
   level: Joi.number().required(),
+  sla: tierSlaSchema,
 });
 
 exports.editTierSchema = Joi.object({
   title: Joi.string(),
   activationDate: Joi.date(),
-  categories: Joi.array(),
+  categories: Joi.array().items(tierCategorySchema),
   status: Joi.boolean(),
   totalAmount: Joi.number(),
   level: Joi.number(),
+  sla: tierSlaSchema,
 });
 
 exports.createUserSchema = Joi.object({
@@ -96,10 +127,24 @@ exports.createExpenseSchema = Joi.object({
   location: Joi.string().required(),
   address: Joi.string().required(),
   category: Joi.string().required(),
+  nights: Joi.number().integer().min(1),
   description: Joi.string().required(),
   image: Joi.array().required(),
 });
 
+exports.editExpenseSchema = Joi.object({
+  title: Joi.string(),
+  amount: Joi.number(),
+  date: Joi.date(),
+  time: Joi.date(),
+  location: Joi.string(),
+  address: Joi.string(),
+  category: Joi.string(),
+  nights: Joi.number().integer().min(1),
+  description: Joi.string(),
+  image: Joi.array(),
+});
+
 exports.createReportSchema = Joi.object({
   title: Joi.string().required(),
   reportDate: Joi.date().required(),
@@ -109,6 +154,18 @@ exports.createReportSchema = Joi.object({
   type: Joi.string().required(),
   status: Joi.string(),
   event: Joi.string(),
+  acknowledgeDuplicates: Joi.boolean(),
+});
+
+exports.editReportSchema = Joi.object({
+  title: Joi.string(),
+  reportDate: Joi.date(),
+  description: Joi.string(),
+  expenses: Joi.array().items(Joi.string()),
+  location: Joi.string(),
+  type: Joi.string(),
+  status: Joi.string(),
+  event: Joi.string(),
 });
 
 exports.createEventSchema = Joi.object({
@@ -180,6 +237,49 @@ exports.createTransactionSchema = Joi.object({
   description: Joi.string().optional(), // Description of the payment
 });
 
+const policyScore = Joi.number().min(0).max(10);
+
+const policyRuleSchema = Joi.object({
+  type: Joi.string()
+    .valid(
+      "categoryCap",
+      "weekend",
+      "holiday",
+      "receiptRequired",
+      "allowedLocations"
+    )
+    .required(),
+  action: Joi.string().valid("warn", "block"),
+  category: Joi.string().when("type", {
+    is: "categoryCap",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  maxAmount: Joi.number().min(0).when("type", {
+    is: "categoryCap",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  days: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .when("type", { is: "weekend", otherwise: Joi.forbidden() }),
+  dates: Joi.array().items(Joi.date()).min(1).when("type", {
+    is: "holiday",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  amount: Joi.number().min(0).when("type", {
+    is: "receiptRequired",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  locations: Joi.array().items(Joi.string()).min(1).when("type", {
+    is: "allowedLocations",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
 exports.createPolicySchema = Joi.object({
   policyTitle: Joi.string().required(),
   tier: Joi.string().required(), // Assuming the ObjectId is represented as a string
@@ -187,18 +287,135 @@ exports.createPolicySchema = Joi.object({
   activationDate: Joi.date().required(),
   location: Joi.string().required(),
   policyDetails: Joi.string().optional(),
-  accuracy: Joi.string().required(),
-  authenticity: Joi.string().required(),
-  compliance: Joi.string().required(),
-  relevance: Joi.string().required(),
-  completeness: Joi.string().required(),
+  accuracy: policyScore.required(),
+  authenticity: policyScore.required(),
+  compliance: policyScore.required(),
+  relevance: policyScore.required(),
+  completeness: policyScore.required(),
+  scoreAction: Joi.string().valid("warn", "block"),
+  rules: Joi.array().items(policyRuleSchema),
 });
 
+exports.updatePolicySchema = Joi.object({
+  policyTitle: Joi.string(),
+  tier: Joi.string(),
+  userType: Joi.string(),
+  activationDate: Joi.date(),
+  location: Joi.string(),
+  policyDetails: Joi.string(),
+  accuracy: policyScore,
+  authenticity: policyScore,
+  compliance: policyScore,
+  relevance: policyScore,
+  completeness: policyScore,
+  scoreAction: Joi.string().valid("warn", "block"),
+  rules: Joi.array().items(policyRuleSchema),
+});
+
+exports.simulatePolicySchema = Joi.object({
+  from: Joi.date().required(),
+  to: Joi.date().min(Joi.ref("from")).required(),
+  //* A new policy, or with `_id` the changes to an existing policy version
+  policy: exports.updatePolicySchema.keys({ _id: objectId }),
+  tier: Joi.object({
+    _id: objectId.required(),
+    categories: Joi.array().items(tierCategorySchema).required(),
+  }),
+}).or("policy", "tier");
+
 exports.createDeductionSchema = Joi.object({
   amount: Joi.number().required(),
   report: Joi.string().required(),
 });
 
+exports.createDelegationSchema = Joi.object({
+  delegate: Joi.string().required(),
+  startDate: Joi.date().required(),
+  endDate: Joi.date().required(),
+  reason: Joi.string(),
+});
+
+const approvalStepSchema = Joi.object({
+  title: Joi.string().required(),
+  approverType: Joi.string().valid("approver", "user", "role").required(),
+  user: Joi.string().when("approverType", {
+    is: "user",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  role: Joi.string().when("approverType", {
+    is: "role",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  minLevel: Joi.number(),
+  maxLevel: Joi.number(),
+  minAmount: Joi.number().min(0),
+  categories: Joi.array().items(Joi.string()),
+});
+
+exports.createApprovalChainSchema = Joi.object({
+  title: Joi.string().required(),
+  description: Joi.string(),
+  steps: Joi.array().items(approvalStepSchema).min(1).required(),
+  status: Joi.boolean(),
+});
+
+exports.editApprovalChainSchema = Joi.object({
+  title: Joi.string(),
+  description: Joi.string(),
+  steps: Joi.array().items(approvalStepSchema).min(1),
+  status: Joi.boolean(),
+});
+
+const expenseDecisionSchema = Joi.object({
+  expense: Joi.string().required(),
+  decision: Joi.string()
+    .valid("approve", "reject", "reduce", "info")
+    .required(),
+  amount: Joi.number().when("decision", {
+    is: "reduce",
+    then: Joi.number().greater(0).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  reason: Joi.string().when("decision", {
+    is: "approve",
+    then: Joi.optional(),
+    otherwise: Joi.required(),
+  }),
+});
+
+exports.createCommentSchema = Joi.object({
+  text: Joi.string().trim().max(2000).required(),
+  expense: objectId,
+  parent: objectId,
+  mentions: Joi.array().items(objectId),
+});
+
+exports.mpinSchema = Joi.object({
+  email: Joi.string().required(),
+  mpin: Joi.string().required(),
+  mpinToken: Joi.string(),
+});
+
+exports.resetMpinSchema = Joi.object({
+  email: Joi.string().required(),
+  otp: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+  mpin: Joi.string().required(),
+});
+
+exports.changeMpinSchema = Joi.object({
+  mobile: Joi.string().required(),
+  oldmpin: Joi.string().required(),
+  mpin: Joi.string().required(),
+});
+
+exports.updateApprovalSchema = Joi.object({
+  decisions: Joi.array().items(expenseDecisionSchema).min(1),
+  expenses: Joi.array().items(Joi.string()),
+  reason: Joi.string().allow(""),
+});
+
 
 //nodemailer code
 